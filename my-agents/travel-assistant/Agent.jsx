@@ -32,6 +32,7 @@ const travelassistant = () => {
           provider: agentConfig.provider,
           model: agentConfig.model,
           temperature: agentConfig.temperature,
+          maxTokens: agentConfig.maxTokens,
           enhance_with_content: agentConfig.enhanceWithContent,
         }),
       });
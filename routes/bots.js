@@ -1,17 +1,113 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const BotService = require('../services/botService');
+const LLMService = require('../services/llmService');
+const ToolService = require('../services/toolService');
 
 const router = express.Router();
 
+// Provider for a model field: the request body, then the stored bot on update
+async function resolveBotProvider(req) {
+  if (req.body.llmProvider) {
+    return req.body.llmProvider;
+  }
+  if (req.params.id) {
+    const bot = await BotService.getBotById(req.params.id);
+    if (bot) {
+      return bot.llmProvider;
+    }
+  }
+  return 'openrouter';
+}
+
+async function checkModelAvailable(provider, model) {
+  if (!LLMService.hasProvider(provider)) {
+    return true;
+  }
+  if (!(await LLMService.isModelAvailable(provider, model))) {
+    throw new Error(`Model ${model} is not available from provider ${provider}`);
+  }
+  return true;
+}
+
 // Validation middleware
 const validateBotCreation = [
   body('name').notEmpty().withMessage('Bot name is required'),
   body('description').optional().isString(),
   body('startMessage').optional().isString(),
   body('contentType').optional().isString(),
-  body('llmProvider').optional().isIn(['openrouter', 'openai', 'anthropic', 'groq']),
-  body('llmModel').optional().isString(),
+  body('llmProvider').optional().custom(value => LLMService.hasProvider(value)).withMessage('Unknown LLM provider').bail()
+    .custom(async (value, { req }) => {
+      // Changing only the provider keeps the stored model, so it has to exist there too
+      if (req.body.llmModel || !req.params.id) {
+        return true;
+      }
+      const bot = await BotService.getBotById(req.params.id);
+      return !bot || checkModelAvailable(value, bot.llmModel);
+    }),
+  body('llmModel').optional().isString().bail()
+    .custom(async (value, { req }) => checkModelAvailable(await resolveBotProvider(req), value)),
+  body('fallbacks').optional().isArray(),
+  body('fallbacks.*.provider').custom(value => LLMService.hasProvider(value)).withMessage('Unknown fallback provider'),
+  body('fallbacks.*.model').optional().isString().bail()
+    .custom((value, { req, path }) => {
+      const index = parseInt(path.match(/\[(\d+)\]/)[1]);
+      return checkModelAvailable(req.body.fallbacks[index].provider, value);
+    }),
+  body('tools').optional().isArray(),
+  body('tools.*').custom(value => ToolService.hasTool(value)).withMessage('Unknown tool'),
+  body('responseCache').optional().isObject(),
+  body('responseCache.enabled').optional().isBoolean(),
+  body('responseCache.ttlSeconds').optional().isInt({ min: 1 }),
+  body('budget').optional().isObject(),
+  body('budget.monthlyLimit').optional().isFloat({ min: 0 }),
+  body('budget.action').optional().isIn(['block', 'downgrade']),
+  body('budget.downgradeProvider').optional().custom(value => LLMService.hasProvider(value)).withMessage('Unknown LLM provider'),
+  body('budget.downgradeModel').optional().isString(),
+  body('responseSchema').optional().custom(value => typeof value === 'object' && LLMService.validateSchema(value)).withMessage('responseSchema must be a valid JSON Schema'),
+  body('generationParams').optional().isObject(),
+  body('generationParams.temperature').optional().isFloat({ min: 0, max: 2 }),
+  body('generationParams.topP').optional().isFloat({ min: 0, max: 1 }),
+  body('generationParams.maxTokens').optional().isInt({ min: 1 }),
+  body('generationParams.presencePenalty').optional().isFloat({ min: -2, max: 2 }),
+  body('generationParams.frequencyPenalty').optional().isFloat({ min: -2, max: 2 }),
+  body('generationParams.stop').optional().custom(value => typeof value === 'string' || (Array.isArray(value) && value.every(stop => typeof stop === 'string'))).withMessage('Stop must be a string or an array of strings'),
+  body('generationParams.seed').optional().isInt(),
+  body('allowedOverrides').optional().isArray(),
+  body('allowedOverrides.*').isIn(['provider', 'model', 'generationParams', 'retrieval', 'responseSchema']),
+  body('allowedOrigins').optional().isArray(),
+  body('allowedOrigins.*').isURL({ require_tld: false, require_protocol: true }),
+  body('handoff').optional().isObject(),
+  body('handoff.enabled').optional().isBoolean(),
+  body('handoff.keywords').optional().isArray(),
+  body('handoff.keywords.*').isString().notEmpty(),
+  body('handoff.onLowConfidence').optional().isBoolean(),
+  body('handoff.message').optional().isString(),
+  body('suggestions').optional().isObject(),
+  body('suggestions.enabled').optional().isBoolean(),
+  body('suggestions.count').optional().isInt({ min: 2, max: 4 }),
+  body('quickReplies').optional().custom(value => {
+    const isList = (list) => Array.isArray(list) && list.every(reply => typeof reply === 'string' && reply.trim() && reply.length <= 80);
+    return isList(value) || (typeof value === 'object' && Object.values(value).every(isList));
+  }).withMessage('Quick replies must be a list of short strings, or such lists per locale'),
+  body('memory').optional().isObject(),
+  body('memory.enabled').optional().isBoolean(),
+  body('memory.facts').optional().isArray(),
+  body('memory.facts.*').matches(/^[a-z][a-z0-9_]{0,49}$/).withMessage('Fact keys must be snake_case'),
+  body('locales').optional().isArray(),
+  body('locales.*').isString().matches(/^[a-z]{2,3}(-[a-z0-9]{2,4})?$/i).withMessage('Locales must be locale codes such as en-us'),
+  body('startMessages').optional().isObject(),
+  body('startMessages.*').isString(),
+  body('guardrails').optional().isObject(),
+  body('guardrails.enabled').optional().isBoolean(),
+  body('guardrails.piiTypes').optional().isArray(),
+  body('guardrails.piiTypes.*').isIn(['email', 'phone', 'card', 'passport', 'iban', 'ssn']),
+  body('guardrails.restoreTypes').optional().isArray(),
+  body('guardrails.restoreTypes.*').isIn(['email', 'phone', 'card', 'passport', 'iban', 'ssn']),
+  body('guardrails.blockedTerms').optional().isArray(),
+  body('guardrails.blockedTerms.*').isString().notEmpty(),
+  body('guardrails.flaggedTerms').optional().isArray(),
+  body('guardrails.flaggedTerms.*').isString().notEmpty(),
   body('systemPrompt').optional().isString()
 ];
 
@@ -63,9 +159,24 @@ router.post('/', validateBotCreation, async (req, res) => {
       startMessage,
       contentType = 'tour',
       llmProvider = 'openrouter',
-      llmModel = 'meta-llama/llama-3.1-8b-instruct:free',
+      fallbacks = [],
+      generationParams = {},
+      tools = [],
+      responseCache,
+      budget,
+      responseSchema,
+      allowedOverrides,
+      allowedOrigins,
+      handoff,
+      suggestions,
+      quickReplies,
+      memory,
+      guardrails,
+      locales,
+      startMessages,
       systemPrompt
     } = req.body;
+    const llmModel = req.body.llmModel || LLMService.getDefaultModel(llmProvider);
 
     const bot = await BotService.createBot({
       name,
@@ -74,6 +185,21 @@ router.post('/', validateBotCreation, async (req, res) => {
       contentType,
       llmProvider,
       llmModel,
+      fallbacks,
+      generationParams,
+      tools,
+      responseCache,
+      budget,
+      responseSchema,
+      allowedOverrides,
+      allowedOrigins,
+      handoff,
+      suggestions,
+      quickReplies,
+      memory,
+      guardrails,
+      locales,
+      startMessages,
       systemPrompt
     });
 
@@ -140,11 +266,34 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Get bot usage and answer feedback analytics
+router.get('/:id/analytics', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const analytics = await BotService.getBotAnalytics(id);
+    
+    if (!analytics) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+    
+    res.json({ analytics });
+  } catch (error) {
+    console.error('Get bot analytics error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch bot analytics',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
 // Get bot configuration for chat widget
 router.get('/:id/config', async (req, res) => {
   try {
     const { id } = req.params;
-    const config = await BotService.getBotConfig(id);
+    const config = await BotService.getBotConfig(id, {
+      locale: req.query.locale,
+      acceptLanguage: req.get('Accept-Language')
+    });
     
     if (!config) {
       return res.status(404).json({ error: 'Bot not found' });
@@ -178,7 +327,7 @@ router.post('/:id/test', async (req, res) => {
     });
   } catch (error) {
     console.error('Test bot error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: 'Failed to test bot',
       details: process.env.NODE_ENV !== 'production' ? error.message : undefined
     });
@@ -1,16 +1,65 @@
 const express = require('express');
+const { EventEmitter } = require('events');
 const { body, validationResult } = require('express-validator');
 const LLMService = require('../services/llmService');
 const ContentstackService = require('../services/contentstackService');
+const BotService = require('../services/botService');
+const ToolService = require('../services/toolService');
+const ContextService = require('../services/contextService');
+const ConversationService = require('../services/conversationService');
+const StreamService = require('../services/streamService');
+const CitationService = require('../services/citationService');
 
 const router = express.Router();
 
+// Events forwarded as-is from a chat stream to the client
+const STREAM_EVENTS = ['sources', 'token', 'tool_call', 'handoff', 'suggestions', 'usage', 'done'];
+
+// The bot a request talks to: its botId, or the bot that owns its conversation
+async function resolveBotId({ botId, conversationId }) {
+  if (botId || !conversationId) {
+    return botId;
+  }
+  const conversation = await ConversationService.getConversation(conversationId);
+  if (!conversation) {
+    const error = new Error('Conversation not found');
+    error.status = 404;
+    throw error;
+  }
+  return conversation.botId;
+}
+
+// Stop the upstream call if the client goes away
+function abortOnClose(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller;
+}
+
 // Validation middleware
 const validateChatRequest = [
   body('message').notEmpty().withMessage('Message is required'),
   body('botId').optional().isString(),
-  body('provider').optional().isIn(['openrouter', 'openai', 'anthropic', 'groq']),
+  body('provider').optional().custom(value => LLMService.hasProvider(value)).withMessage('Unknown LLM provider'),
   body('model').optional().isString(),
+  body('context').optional().isArray(),
+  body('conversationId').optional().isString(),
+  body('userId').optional().isString().isLength({ max: 200 }),
+  body('fallbacks').optional().isArray(),
+  body('fallbacks.*.provider').custom(value => LLMService.hasProvider(value)).withMessage('Unknown fallback provider'),
+  body('fallbacks.*.model').optional().isString(),
+  body('temperature').optional().isFloat({ min: 0, max: 2 }),
+  body('topP').optional().isFloat({ min: 0, max: 1 }),
+  body('maxTokens').optional().isInt({ min: 1 }),
+  body('presencePenalty').optional().isFloat({ min: -2, max: 2 }),
+  body('frequencyPenalty').optional().isFloat({ min: -2, max: 2 }),
+  body('stop').optional().custom(value => typeof value === 'string' || (Array.isArray(value) && value.every(stop => typeof stop === 'string'))).withMessage('Stop must be a string or an array of strings'),
+  body('seed').optional().isInt(),
+  body('responseSchema').optional().custom(value => typeof value === 'object' && LLMService.validateSchema(value)).withMessage('responseSchema must be a valid JSON Schema'),
   body('stream').optional().isBoolean()
 ];
 
@@ -22,87 +71,228 @@ router.post('/completions', validateChatRequest, async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { message, botId, provider = 'openrouter', model, context = [] } = req.body;
-    
-    const response = await LLMService.generateResponse({
+    const { message, conversationId, provider = 'openrouter', model, context = [], fallbacks = [], responseSchema } = req.body;
+    const botId = await resolveBotId(req.body);
+    const controller = abortOnClose(res);
+
+    // Bots answer with their own prompt, model and knowledge
+    if (botId) {
+      const { message: content, ...result } = await BotService.chat(botId, message, {
+        conversationId,
+        history: context,
+        requested: req.body,
+        userId: req.body.userId,
+        signal: controller.signal
+      });
+      return res.json({ response: content, ...result });
+    }
+
+    const params = LLMService.pickGenerationParams(req.body);
+
+    // Trim history to the model's context window
+    const fitted = await ContextService.fitContext({ provider, model, params, history: context, message });
+
+    const request = {
       message,
       provider,
       model,
-      context,
-      botId
-    });
+      context: fitted.messages,
+      fallbacks,
+      params,
+      botId,
+      signal: controller.signal
+    };
+
+    // With a schema the answer is JSON, validated and parsed
+    const response = responseSchema
+      ? await LLMService.generateStructuredResponse({ ...request, schema: responseSchema })
+      : await LLMService.generateResponse({ ...request, cache: { botId } });
 
     res.json({
       response: response.content,
       provider: response.provider,
       model: response.model,
-      usage: response.usage
+      fallbackUsed: response.fallbackUsed,
+      cached: !!response.cached,
+      finishReason: response.finishReason,
+      usage: response.usage,
+      contextTrimmed: fitted.trimmed,
+      memory: fitted.memory,
+      ...(responseSchema && {
+        data: response.parsed,
+        valid: response.valid,
+        validationErrors: response.validationErrors
+      })
     });
   } catch (error) {
     console.error('Chat completion error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: 'Failed to generate response',
       details: process.env.NODE_ENV !== 'production' ? error.message : undefined
     });
   }
 });
 
-// Streaming chat completion
+// Streaming chat completion over Server-Sent Events. Events:
+//   sources   { sources }             retrieved or tool-found entries
+//   token     { content, provider, model }
+//   tool_call { id, name, arguments }
+//   handoff   { status, trigger, reason, ... }  conversation escalated to a person
+//   suggestions { suggestions }       follow-up questions, for bots that offer them
+//   usage     { promptTokens, completionTokens, totalTokens }
+//   error     { error, reason? }
+//   done      { provider, model, finishReason, content, ... }
+// A request with a Last-Event-ID header resumes the buffered stream instead
+// of starting a new one.
 router.post('/stream', validateChatRequest, async (req, res) => {
   try {
+    const lastEventId = req.get('Last-Event-ID');
+    if (lastEventId) {
+      return resumeStream(req, res, StreamService.parseStreamId(lastEventId), lastEventId);
+    }
+
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { message, botId, provider = 'openrouter', model, context = [] } = req.body;
+    const { message, conversationId, provider = 'openrouter', model, context = [], fallbacks = [] } = req.body;
+    const botId = await resolveBotId(req.body);
 
-    // Set up Server-Sent Events
-    res.writeHead(200, {
-      'Content-Type': 'text/plain',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Headers': 'Cache-Control'
-    });
+    // Abandoned streams are cancelled so we stop paying for tokens
+    const controller = new AbortController();
+    let events;
 
-    const stream = await LLMService.generateStreamingResponse({
-      message,
-      provider,
-      model,
-      context,
-      botId
-    });
+    if (botId) {
+      events = await BotService.streamChat(botId, message, {
+        conversationId,
+        history: context,
+        requested: req.body,
+        userId: req.body.userId,
+        signal: controller.signal
+      });
+    } else {
+      const params = LLMService.pickGenerationParams(req.body);
+      const fitted = await ContextService.fitContext({ provider, model, params, history: context, message });
 
-    stream.on('data', (chunk) => {
-      res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-    });
+      events = typedEvents(await LLMService.generateStreamingResponse({
+        message,
+        provider,
+        model,
+        context: fitted.messages,
+        fallbacks,
+        params,
+        signal: controller.signal
+      }));
+    }
 
-    stream.on('end', () => {
-      res.write('data: [DONE]\n\n');
-      res.end();
-    });
+    const session = StreamService.createSession({ onAbandon: () => controller.abort() });
 
-    stream.on('error', (error) => {
+    if (!botId) {
+      // Nothing is retrieved without a bot; the event is still sent first
+      StreamService.publish(session, 'sources', { sources: [] });
+    }
+
+    STREAM_EVENTS.forEach(name => {
+      events.on(name, (data) => StreamService.publish(session, name, data));
+    });
+    events.on('done', () => StreamService.close(session));
+    events.on('error', (error) => {
       console.error('Streaming error:', error);
-      res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-      res.end();
+      StreamService.publish(session, 'error', { error: error.message });
+      StreamService.close(session);
     });
-
-    // Handle client disconnect
-    req.on('close', () => {
-      stream.destroy();
+    events.on('cancelled', ({ reason }) => {
+      StreamService.publish(session, 'error', { error: 'Stream cancelled', reason });
+      StreamService.close(session);
     });
 
+    sendStream(req, res, session);
   } catch (error) {
     console.error('Streaming setup error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: 'Failed to setup streaming',
       details: process.env.NODE_ENV !== 'production' ? error.message : undefined
     });
   }
 });
 
+// Resume a stream, e.g. from EventSource, which sends Last-Event-ID on reconnect
+router.get('/stream/:streamId', (req, res) => {
+  resumeStream(req, res, req.params.streamId, req.get('Last-Event-ID') || req.query.lastEventId);
+});
+
+function resumeStream(req, res, streamId, lastEventId) {
+  const session = StreamService.getSession(streamId);
+
+  if (!session) {
+    return res.status(404).json({ error: 'Stream not found or expired' });
+  }
+
+  sendStream(req, res, session, lastEventId);
+}
+
+// Writes a stream session to the response as text/event-stream
+function sendStream(req, res, session, lastEventId) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+    'X-Stream-Id': session.id,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID',
+    'Access-Control-Expose-Headers': 'X-Stream-Id'
+  });
+
+  const write = (chunk) => {
+    res.write(chunk);
+    // The compression middleware holds output back until flushed
+    if (res.flush) res.flush();
+  };
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), StreamService.heartbeatMs);
+
+  const unsubscribe = StreamService.subscribe(session, (entry) => {
+    if (!entry) {
+      clearInterval(heartbeat);
+      res.end();
+      return;
+    }
+    write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+  }, lastEventId);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+// Maps a plain LLM stream onto the typed stream events
+function typedEvents(stream) {
+  const events = new EventEmitter();
+
+  stream.on('data', (chunk) => events.emit('token', chunk));
+  stream.on('error', (error) => events.emit('error', error));
+  stream.on('cancelled', (info) => events.emit('cancelled', info));
+  stream.on('end', (final) => {
+    final.toolCalls.forEach(call => {
+      events.emit('tool_call', { id: call.id, name: call.name, arguments: call.arguments });
+    });
+    events.emit('usage', final.usage);
+    events.emit('done', {
+      provider: final.provider,
+      model: final.model,
+      fallbackUsed: final.fallbackUsed,
+      finishReason: final.finishReason,
+      content: final.fullContent
+    });
+  });
+
+  return events;
+}
+
 // Chat with content-enhanced responses
 router.post('/chat-with-content', validateChatRequest, async (req, res) => {
   try {
@@ -113,13 +303,33 @@ router.post('/chat-with-content', validateChatRequest, async (req, res) => {
 
     const { 
       message, 
-      botId, 
+      conversationId,
       provider = 'openrouter', 
       model, 
       context = [],
+      fallbacks = [],
       contentType = 'tours',
       maxResults = 5 
     } = req.body;
+    const botId = await resolveBotId(req.body);
+
+    if (botId) {
+      const { message: content, sources, ...result } = await BotService.chat(botId, message, {
+        conversationId,
+        history: context,
+        requested: req.body,
+        userId: req.body.userId,
+        signal: abortOnClose(res).signal
+      });
+      return res.json({
+        response: content,
+        ...result,
+        relevantContent: sources,
+        sources: sources.length
+      });
+    }
+
+    const params = LLMService.pickGenerationParams(req.body);
 
     // Search for relevant content in Contentstack
     const relevantContent = await ContentstackService.searchContent({
@@ -128,75 +338,73 @@ router.post('/chat-with-content', validateChatRequest, async (req, res) => {
       maxResults
     });
 
-    // Enhance the message with relevant content
-    const enhancedContext = [
-      ...context,
-      {
-        role: 'system',
-        content: `You are a helpful assistant. Use the following relevant content to answer the user's question:\n\n${relevantContent.map(item => `Title: ${item.title}\nDescription: ${item.description || item.content || ''}`).join('\n\n')}`
-      }
-    ];
+    // Enhance the message with relevant content, trimmed to the model's context window
+    const fitted = await ContextService.fitContext({
+      provider,
+      model,
+      params,
+      sources: {
+        entries: relevantContent,
+        intro: "You are a helpful assistant. Use the following relevant content to answer the user's question:"
+      },
+      history: context,
+      message
+    });
 
     const response = await LLMService.generateResponse({
       message,
       provider,
       model,
-      context: enhancedContext,
-      botId
+      context: fitted.messages,
+      fallbacks,
+      params,
+      botId,
+      cache: { botId, sources: relevantContent }
     });
 
+    const { content, citations } = CitationService.resolveCitations(response.content, relevantContent, { contentType });
+
     res.json({
-      response: response.content,
+      response: content,
+      citations,
       provider: response.provider,
       model: response.model,
+      fallbackUsed: response.fallbackUsed,
+      cached: !!response.cached,
       usage: response.usage,
+      contextTrimmed: fitted.trimmed,
+      memory: fitted.memory,
       relevantContent: relevantContent,
       sources: relevantContent.length
     });
   } catch (error) {
     console.error('Content-enhanced chat error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: 'Failed to generate content-enhanced response',
       details: process.env.NODE_ENV !== 'production' ? error.message : undefined
     });
   }
 });
 
-// Get available LLM providers
-router.get('/providers', (req, res) => {
+// Get available LLM providers, including custom ones from config
+// Pass ?refresh=true to re-fetch model listings instead of using the cache
+router.get('/providers', async (req, res) => {
+  try {
+    const providers = await LLMService.getModelCatalog({ refresh: req.query.refresh === 'true' });
+    res.json({ providers });
+  } catch (error) {
+    console.error('Get providers error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch providers',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Get tools that bots can allow their model to call
+router.get('/tools', (req, res) => {
   res.json({
-    providers: [
-      {
-        id: 'openrouter',
-        name: 'OpenRouter',
-        models: [
-          'meta-llama/llama-3.1-8b-instruct:free',
-          'microsoft/wizardlm-2-8x22b',
-          'anthropic/claude-3-haiku',
-          'openai/gpt-3.5-turbo',
-          'openai/gpt-4'
-        ],
-        available: !!process.env.OPENROUTER_API_KEY
-      },
-      {
-        id: 'openai',
-        name: 'OpenAI',
-        models: ['gpt-3.5-turbo', 'gpt-4', 'gpt-4-turbo'],
-        available: !!process.env.OPENAI_API_KEY
-      },
-      {
-        id: 'anthropic',
-        name: 'Anthropic',
-        models: ['claude-3-sonnet-20240229', 'claude-3-haiku-20240307'],
-        available: !!process.env.ANTHROPIC_API_KEY
-      },
-      {
-        id: 'groq',
-        name: 'Groq',
-        models: ['llama3-8b-8192', 'llama3-70b-8192', 'mixtral-8x7b-32768'],
-        available: !!process.env.GROQ_API_KEY
-      }
-    ]
+    tools: ToolService.listTools()
   });
 });
 
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const ContentstackService = require('../services/contentstackService');
+const LLMService = require('../services/llmService');
 
 const router = express.Router();
 
@@ -8,7 +9,8 @@ const router = express.Router();
 const validateContentSearch = [
   query('q').optional().isString(),
   query('contentType').optional().isString(),
-  query('limit').optional().isInt({ min: 1, max: 100 })
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('locale').optional().isString()
 ];
 
 const validateContentCreate = [
@@ -25,12 +27,13 @@ router.get('/search', validateContentSearch, async (req, res) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { q: query, contentType = 'tours', limit = 10 } = req.query;
+    const { q: query, contentType = 'tours', limit = 10, locale } = req.query;
 
     const results = await ContentstackService.searchContent({
       query,
       contentType,
-      maxResults: parseInt(limit)
+      maxResults: parseInt(limit),
+      locale
     });
 
     res.json({
@@ -120,6 +123,7 @@ router.put('/entries/:uid', validateContentCreate, async (req, res) => {
       contentType,
       additionalFields
     });
+    LLMService.invalidateCache({ entryUids: [uid] });
 
     res.json({
       message: 'Entry updated successfully',
@@ -138,12 +142,14 @@ router.put('/entries/:uid', validateContentCreate, async (req, res) => {
 router.post('/entries/:uid/publish', async (req, res) => {
   try {
     const { uid } = req.params;
-    const { contentType = 'tours' } = req.body;
+    const { contentType = 'tours', locales } = req.body;
 
     const result = await ContentstackService.publishEntry({
       uid,
-      contentType
+      contentType,
+      locales
     });
+    LLMService.invalidateCache({ entryUids: [uid] });
 
     res.json({
       message: 'Entry published successfully',
@@ -168,6 +174,7 @@ router.delete('/entries/:uid', async (req, res) => {
       uid,
       contentType
     });
+    LLMService.invalidateCache({ entryUids: [uid] });
 
     res.json({
       message: 'Entry deleted successfully'
@@ -228,4 +235,29 @@ router.get('/content-types', async (req, res) => {
   }
 });
 
+// Contentstack webhook: drops cached answers built from changed entries.
+// Configure the webhook with an `x-webhook-secret` header matching
+// CONTENTSTACK_WEBHOOK_SECRET.
+router.post('/webhook', (req, res) => {
+  const secret = process.env.CONTENTSTACK_WEBHOOK_SECRET;
+
+  if (secret && req.get('x-webhook-secret') !== secret) {
+    return res.status(401).json({ error: 'Invalid webhook secret' });
+  }
+
+  const { module: moduleName, data = {} } = req.body || {};
+  const uid = data.entry?.uid;
+
+  if (moduleName !== 'entry' || !uid) {
+    return res.json({ message: 'Ignored', invalidated: 0 });
+  }
+
+  const invalidated = LLMService.invalidateCache({ entryUids: [uid] });
+
+  res.json({
+    message: 'Cache invalidated',
+    invalidated
+  });
+});
+
 module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const ConversationService = require('../services/conversationService');
+const BotService = require('../services/botService');
+const TranscriptService = require('../services/transcriptService');
+
+const router = express.Router();
+
+// Validation middleware
+const validateConversationCreation = [
+  body('botId').notEmpty().withMessage('Bot ID is required'),
+  body('title').optional().isString(),
+  body('metadata').optional().isObject(),
+  body('locale').optional().isString(),
+  body('userId').optional().isString().isLength({ max: 200 })
+];
+
+const validateMessage = [
+  body('message').notEmpty().withMessage('Message is required')
+];
+
+const validateFeedback = [
+  body('rating').isIn(['up', 'down']).withMessage('Rating must be up or down'),
+  body('comment').optional().isString().isLength({ max: 2000 }),
+  body('reason').optional().isIn(['incorrect', 'incomplete', 'irrelevant', 'outdated', 'unsafe', 'other'])
+];
+
+// List conversations, optionally for one bot
+router.get('/', [query('botId').optional().isString()], async (req, res) => {
+  try {
+    const conversations = await ConversationService.listConversations({ botId: req.query.botId });
+    res.json({ conversations });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch conversations',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Start a conversation with a bot
+router.post('/', validateConversationCreation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { botId, title, metadata, locale, userId } = req.body;
+
+    const config = await BotService.getBotConfig(botId, { locale, acceptLanguage: req.get('Accept-Language') });
+    if (!config) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    const conversation = await ConversationService.createConversation({ botId, title, metadata, userId });
+
+    res.status(201).json({
+      message: 'Conversation created successfully',
+      conversation,
+      startMessage: config.startMessage
+    });
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({
+      error: 'Failed to create conversation',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Bulk export of a bot's conversations, e.g.
+// /api/conversations/export?botId=...&from=2024-01-01&to=2024-01-31&format=zip&fileFormat=html
+router.get('/export', [
+  query('botId').notEmpty().withMessage('Bot ID is required'),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('format').optional().isIn(['zip', 'jsonl']),
+  query('fileFormat').optional().isIn(['md', 'json', 'html'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { botId, from, to, format = 'zip', fileFormat = 'md' } = req.query;
+    const bot = await BotService.getBotById(botId);
+    const conversations = await ConversationService.findConversations({ botId, from, to });
+
+    if (format === 'jsonl') {
+      res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="conversations-${botId}.jsonl"`);
+      return res.send(TranscriptService.toJSONL(conversations, bot));
+    }
+
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="conversations-${botId}.zip"`);
+    res.send(TranscriptService.toZip(conversations, bot, fileFormat));
+  } catch (error) {
+    console.error('Export conversations error:', error);
+    res.status(500).json({
+      error: 'Failed to export conversations',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Get a conversation with its messages
+router.get('/:id', async (req, res) => {
+  try {
+    const conversation = await ConversationService.getConversation(req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ conversation });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch conversation',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Transcript of one conversation as md, json or html
+router.get('/:id/export', [query('format').optional().isIn(['md', 'json', 'html'])], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const conversation = await ConversationService.getConversation(req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const bot = await BotService.getBotById(conversation.botId);
+    const { body, contentType, filename } = TranscriptService.render(conversation, bot, req.query.format || 'md');
+
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Export conversation error:', error);
+    res.status(500).json({
+      error: 'Failed to export conversation',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Send a message; the bot answers with the stored history as context
+router.post('/:id/messages', validateMessage, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const conversation = await ConversationService.getConversation(id);
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const response = await BotService.chat(conversation.botId, req.body.message, { conversationId: id });
+
+    res.json({
+      conversationId: id,
+      response
+    });
+  } catch (error) {
+    console.error('Conversation message error:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to send message',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Rate an assistant answer with thumbs up/down, an optional comment and reason
+router.post('/:id/messages/:messageId/feedback', validateFeedback, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id, messageId } = req.params;
+    const { rating, comment, reason } = req.body;
+    const feedback = await ConversationService.setFeedback(id, messageId, { rating, comment, reason });
+
+    if (!feedback) {
+      return res.status(404).json({ error: 'Assistant message not found' });
+    }
+
+    res.json({
+      message: 'Feedback recorded',
+      feedback
+    });
+  } catch (error) {
+    console.error('Feedback error:', error);
+    res.status(500).json({
+      error: 'Failed to record feedback',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Delete a conversation
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await ConversationService.deleteConversation(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ message: 'Conversation deleted successfully' });
+  } catch (error) {
+    console.error('Delete conversation error:', error);
+    res.status(500).json({
+      error: 'Failed to delete conversation',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
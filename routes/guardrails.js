@@ -0,0 +1,56 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const GuardrailService = require('../services/guardrailService');
+
+const router = express.Router();
+
+const validateFilters = [
+  query('botId').optional().isString(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+];
+
+// Redaction and moderation events, newest first
+router.get('/events', [
+  ...validateFilters,
+  query('kind').optional().isIn(['redaction', 'moderation']),
+  query('limit').optional().isInt({ min: 1, max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { botId, kind, from, to, limit } = req.query;
+    const events = GuardrailService.getEvents({ botId, kind, from, to, limit: limit ? parseInt(limit) : undefined });
+    res.json({ events });
+  } catch (error) {
+    console.error('Get guardrail events error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch guardrail events',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Event counts by PII type and by moderation rule
+router.get('/summary', validateFilters, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { botId, from, to } = req.query;
+    res.json({ summary: GuardrailService.getSummary({ botId, from, to }) });
+  } catch (error) {
+    console.error('Get guardrail summary error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch guardrail summary',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const HandoffService = require('../services/handoffService');
+const ConversationService = require('../services/conversationService');
+
+const router = express.Router();
+
+// Validation middleware
+const validateOperator = [
+  body('operator').notEmpty().isString().withMessage('Operator is required')
+];
+
+const validateReply = [
+  ...validateOperator,
+  body('content').notEmpty().isString().withMessage('Content is required')
+];
+
+// Conversations waiting for a person (or claimed/closed ones with ?status=)
+router.get('/', [
+  query('status').optional().isIn(['pending', 'claimed', 'closed']),
+  query('botId').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status, botId } = req.query;
+    const queue = await HandoffService.listQueue({ status, botId });
+    res.json({ queue });
+  } catch (error) {
+    console.error('Get handoff queue error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch handoff queue',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Full conversation for the operator
+router.get('/:conversationId', async (req, res) => {
+  try {
+    const conversation = await ConversationService.getConversation(req.params.conversationId);
+
+    if (!conversation || !conversation.handoff) {
+      return res.status(404).json({ error: 'Handoff not found' });
+    }
+
+    res.json({ conversation });
+  } catch (error) {
+    console.error('Get handoff error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch handoff',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Take ownership of a conversation; the bot stays quiet from here on
+router.post('/:conversationId/claim', validateOperator, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const handoff = await HandoffService.claim(req.params.conversationId, req.body.operator);
+    res.json({ message: 'Conversation claimed', handoff });
+  } catch (error) {
+    console.error('Claim handoff error:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to claim conversation',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Reply to the user as the operator
+router.post('/:conversationId/messages', validateReply, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { operator, content } = req.body;
+    const message = await HandoffService.reply(req.params.conversationId, operator, content);
+    res.status(201).json({ message: 'Reply sent', reply: message });
+  } catch (error) {
+    console.error('Handoff reply error:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to send reply',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Close the handoff and give the conversation back to the bot
+router.post('/:conversationId/close', [
+  body('operator').optional().isString(),
+  body('note').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { operator, note } = req.body;
+    const handoff = await HandoffService.close(req.params.conversationId, operator, { note });
+    res.json({ message: 'Handoff closed', handoff });
+  } catch (error) {
+    console.error('Close handoff error:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to close handoff',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
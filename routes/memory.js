@@ -0,0 +1,111 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const MemoryService = require('../services/memoryService');
+const BotService = require('../services/botService');
+
+const router = express.Router();
+
+// Validation middleware
+const validateFacts = [
+  body('facts').isObject().withMessage('Facts must be an object of key/value pairs'),
+  body('facts.*').custom(value => value === null || (typeof value === 'string' && value.length <= 200)).withMessage('Fact values must be strings of up to 200 characters, or null to remove them')
+];
+
+// What a bot remembers about a user
+router.get('/:botId/:userId', async (req, res) => {
+  try {
+    const { botId, userId } = req.params;
+    const profile = await MemoryService.getProfile(botId, userId);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'No memory for this user' });
+    }
+
+    res.json({ profile });
+  } catch (error) {
+    console.error('Get user memory error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch user memory',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Set or correct facts, e.g. { "facts": { "home_city": "Lyon", "budget": null } };
+// null removes a fact
+router.put('/:botId/:userId', validateFacts, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { botId, userId } = req.params;
+    const bot = await BotService.getBotById(botId);
+
+    if (!bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    const keys = MemoryService.getFactKeys(bot);
+    const unknown = Object.keys(req.body.facts).filter(key => !keys.includes(key));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown fact keys: ${unknown.join(', ')}`, allowed: keys });
+    }
+
+    const facts = Object.entries(req.body.facts).map(([key, value]) => ({ key, value }));
+    const profile = await MemoryService.setFacts(botId, userId, facts, { source: 'manual' });
+
+    res.json({
+      message: 'User memory updated successfully',
+      profile
+    });
+  } catch (error) {
+    console.error('Update user memory error:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to update user memory',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Forget one fact
+router.delete('/:botId/:userId/facts/:key', async (req, res) => {
+  try {
+    const { botId, userId, key } = req.params;
+    const profile = await MemoryService.deleteFact(botId, userId, key);
+
+    res.json({
+      message: 'Fact deleted successfully',
+      profile
+    });
+  } catch (error) {
+    console.error('Delete fact error:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to delete fact',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Forget everything about a user
+router.delete('/:botId/:userId', async (req, res) => {
+  try {
+    const { botId, userId } = req.params;
+    const deleted = await MemoryService.deleteProfile(botId, userId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'No memory for this user' });
+    }
+
+    res.json({ message: 'User memory deleted successfully' });
+  } catch (error) {
+    console.error('Delete user memory error:', error);
+    res.status(500).json({
+      error: 'Failed to delete user memory',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
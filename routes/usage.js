@@ -0,0 +1,77 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const UsageService = require('../services/usageService');
+const BotService = require('../services/botService');
+
+const router = express.Router();
+
+const GROUP_FIELDS = ['bot', 'provider', 'model', 'day'];
+
+// Validation middleware
+const validateUsageQuery = [
+  query('groupBy').optional().custom(value => value.split(',').every(field => GROUP_FIELDS.includes(field.trim())))
+    .withMessage(`groupBy must be a comma-separated list of: ${GROUP_FIELDS.join(', ')}`),
+  query('botId').optional().isString(),
+  query('provider').optional().isString(),
+  query('model').optional().isString(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+];
+
+// Usage and cost report, e.g. /api/usage?groupBy=bot,day&from=2024-01-01
+router.get('/', validateUsageQuery, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { groupBy = 'bot', botId, provider, model, from, to } = req.query;
+    const fields = groupBy.split(',').map(field => field.trim());
+
+    const report = UsageService.getReport({ groupBy: fields, botId, provider, model, from, to });
+    const totals = report.reduce((sum, row) => ({
+      calls: sum.calls + row.calls,
+      totalTokens: sum.totalTokens + row.totalTokens,
+      cost: Math.round((sum.cost + row.cost) * 1e6) / 1e6
+    }), { calls: 0, totalTokens: 0, cost: 0 });
+
+    res.json({
+      groupBy: fields,
+      report,
+      totals
+    });
+  } catch (error) {
+    console.error('Usage report error:', error);
+    res.status(500).json({ 
+      error: 'Failed to build usage report',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+// Current month's spend against a bot's budget
+router.get('/bots/:id/budget', async (req, res) => {
+  try {
+    const bot = await BotService.getBotById(req.params.id);
+
+    if (!bot) {
+      return res.status(404).json({ error: 'Bot not found' });
+    }
+
+    res.json({
+      botId: bot.id,
+      budget: bot.budget || null,
+      status: UsageService.checkBudget(bot),
+      spent: Math.round(UsageService.getMonthlySpend(bot.id) * 1e6) / 1e6
+    });
+  } catch (error) {
+    console.error('Budget status error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch budget status',
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
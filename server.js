@@ -6,6 +6,8 @@ const morgan = require('morgan');
 const compression = require('compression');
 const path = require('path');
 require('dotenv').config();
+const LLMService = require('./services/llmService');
+const ChatSocketService = require('./services/chatSocketService');
 
 const app = express();
 const PORT = process.env.PORT || 7000;
@@ -51,6 +53,11 @@ app.use('/api/chat', require('./routes/chat'));
 app.use('/api/contentstack', require('./routes/contentstack'));
 app.use('/api/bots', require('./routes/bots'));
 app.use('/api/upload', require('./routes/upload'));
+app.use('/api/usage', require('./routes/usage'));
+app.use('/api/conversations', require('./routes/conversations'));
+app.use('/api/handoff', require('./routes/handoff'));
+app.use('/api/guardrails', require('./routes/guardrails'));
+app.use('/api/memory', require('./routes/memory'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -58,7 +65,9 @@ app.get('/api/health', (req, res) => {
     status: 'OK',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    environment: process.env.NODE_ENV || 'development'
+    environment: process.env.NODE_ENV || 'development',
+    providers: LLMService.getCircuitStatus(),
+    cache: LLMService.getCacheStats()
   });
 });
 
@@ -81,11 +90,17 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Chat Agent Platform server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
-  console.log(`🌐 Frontend URL: http://localhost:${PORT}`);
-});
+// Tests require the app and listen on a port of their own
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    console.log(`🚀 Chat Agent Platform server running on port ${PORT}`);
+    console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`🔗 API Base URL: http://localhost:${PORT}/api`);
+    console.log(`🌐 Frontend URL: http://localhost:${PORT}`);
+  });
+
+  // Widgets chat over WebSocket at /api/ws
+  ChatSocketService.attach(server);
+}
 
 module.exports = app;
@@ -1,20 +1,40 @@
 const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
 const LLMService = require('./llmService');
 const ContentstackService = require('./contentstackService');
+const ToolService = require('./toolService');
+const ContextService = require('./contextService');
+const UsageService = require('./usageService');
+const ConversationService = require('./conversationService');
+const CitationService = require('./citationService');
+const HandoffService = require('./handoffService');
+const GuardrailService = require('./guardrailService');
+const LanguageService = require('./languageService');
+const SuggestionService = require('./suggestionService');
+const MemoryService = require('./memoryService');
+
+// Request fields a chat caller may override, by the bot's allowedOverrides
+// entry that permits them; generation params are the "generationParams" group
+const OVERRIDE_FIELDS = {
+  provider: ['provider', 'fallbacks'],
+  model: ['model'],
+  retrieval: ['contentType', 'maxResults'],
+  responseSchema: ['responseSchema']
+};
 
 class BotService {
   constructor() {
-    this.botsFile = path.join(__dirname, '../data/bots.json');
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.botsFile = path.join(this.dataDir, 'bots.json');
     this.ensureDataDirectory();
     this.bots = this.loadBots();
   }
 
   ensureDataDirectory() {
-    const dataDir = path.join(__dirname, '../data');
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
     }
   }
 
@@ -58,6 +78,21 @@ class BotService {
     contentType = 'tour',
     llmProvider = 'openrouter',
     llmModel = 'meta-llama/llama-3.1-8b-instruct:free',
+    fallbacks = [],
+    generationParams = {},
+    tools = [],
+    responseCache,
+    budget,
+    responseSchema,
+    allowedOverrides = [],
+    allowedOrigins = [],
+    handoff,
+    suggestions,
+    quickReplies = [],
+    memory,
+    guardrails,
+    locales = [],
+    startMessages = {},
     systemPrompt
   }) {
     const bot = {
@@ -68,6 +103,37 @@ class BotService {
       contentType,
       llmProvider,
       llmModel,
+      // Ordered { provider, model } pairs tried when the primary provider fails
+      fallbacks,
+      // temperature, topP, maxTokens, stop, presencePenalty, frequencyPenalty, seed
+      generationParams: LLMService.pickGenerationParams(generationParams),
+      // Names of the registered tools this bot's model may call
+      tools,
+      // { enabled, ttlSeconds }; falls back to the platform default when unset
+      responseCache,
+      // { monthlyLimit, action: 'block' | 'downgrade', downgradeProvider, downgradeModel }
+      budget,
+      // JSON Schema the bot's answers must match, if it answers in JSON
+      responseSchema,
+      // Request-level settings chat callers may override: provider, model,
+      // generationParams, retrieval, responseSchema
+      allowedOverrides,
+      // Page origins the chat widget may connect from; any when empty
+      allowedOrigins,
+      // { enabled, keywords, onLowConfidence, message } for escalating to a person
+      handoff,
+      // { enabled, count } for follow-up questions after each answer
+      suggestions,
+      // Chips shown with the start message: a list, or lists per locale
+      quickReplies,
+      // { enabled, facts } for remembering users across conversations
+      memory,
+      // { enabled, piiTypes, restoreTypes, blockedTerms, flaggedTerms } on top of the platform guardrails
+      guardrails,
+      // Contentstack locale codes the bot answers in, the first being the default
+      locales,
+      // Start message per locale, e.g. { 'fr-fr': 'Bonjour !' }
+      startMessages,
       systemPrompt: systemPrompt || this.generateDefaultSystemPrompt(name, contentType),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
@@ -90,6 +156,14 @@ class BotService {
     }
 
     const bot = this.bots[botIndex];
+
+    if (updateData.generationParams) {
+      updateData = {
+        ...updateData,
+        generationParams: LLMService.pickGenerationParams(updateData.generationParams)
+      };
+    }
+
     const updatedBot = {
       ...bot,
       ...updateData,
@@ -100,6 +174,9 @@ class BotService {
 
     this.bots[botIndex] = updatedBot;
     this.saveBots();
+
+    // Cached answers were built from the old configuration
+    LLMService.invalidateCache({ botId: id });
     
     return updatedBot;
   }
@@ -113,87 +190,558 @@ class BotService {
 
     this.bots.splice(botIndex, 1);
     this.saveBots();
+    LLMService.invalidateCache({ botId: id });
     
     return true;
   }
 
-  async getBotConfig(id) {
+  // The start message is picked by `locale`, else by the widget's
+  // Accept-Language header, else it's the bot's default one
+  async getBotConfig(id, { locale, acceptLanguage } = {}) {
     const bot = await this.getBotById(id);
     
     if (!bot) {
       return null;
     }
 
+    const requested = locale || LanguageService.matchAcceptLanguage(bot, acceptLanguage);
+
     return {
       id: bot.id,
       name: bot.name,
-      startMessage: bot.startMessage,
+      startMessage: LanguageService.getStartMessage(bot, requested),
+      quickReplies: LanguageService.getQuickReplies(bot, requested),
+      locale: requested || (bot.locales || [])[0] || null,
+      locales: bot.locales || [],
       llmProvider: bot.llmProvider,
       llmModel: bot.llmModel,
       contentType: bot.contentType,
+      allowedOrigins: bot.allowedOrigins || [],
       isActive: bot.isActive
     };
   }
 
   async testBot(id, message) {
+    return this.chat(id, message);
+  }
+
+  // Loads a bot that may answer chats; errors carry the HTTP status
+  async getActiveBot(id) {
     const bot = await this.getBotById(id);
     
     if (!bot) {
-      throw new Error('Bot not found');
+      const error = new Error('Bot not found');
+      error.status = 404;
+      throw error;
     }
 
     if (!bot.isActive) {
-      throw new Error('Bot is not active');
+      const error = new Error('Bot is not active');
+      error.status = 403;
+      throw error;
     }
 
-    try {
-      // Search for relevant content
-      const relevantContent = await ContentstackService.intelligentSearch({
-        query: message,
-        contentType: bot.contentType,
-        maxResults: 3
-      });
+    return bot;
+  }
 
-      // Build context with system prompt and relevant content
-      const context = [
-        {
-          role: 'system',
-          content: bot.systemPrompt
+  // Stored history of one of the bot's conversations
+  async getConversationHistory(bot, conversationId) {
+    const conversation = await ConversationService.getConversation(conversationId);
+    if (!conversation || conversation.botId !== bot.id) {
+      const error = new Error('Conversation not found');
+      error.status = 404;
+      throw error;
+    }
+    return ConversationService.getHistory(conversationId);
+  }
+
+  // History sent by the caller, cut down to plain user and assistant turns;
+  // system messages (or a made-up conversation summary) would override the
+  // bot's own prompt
+  filterClientHistory(history) {
+    return (Array.isArray(history) ? history : [])
+      .filter(item => item && ['user', 'assistant'].includes(item.role) && typeof item.content === 'string')
+      .map(({ role, content }) => ({ role, content }));
+  }
+
+  // The end user a chat is for: the one given, else the conversation's
+  async resolveUserId(conversationId, userId) {
+    if (userId || !conversationId) {
+      return userId || null;
+    }
+    const conversation = await ConversationService.getConversation(conversationId);
+    return (conversation && conversation.userId) || null;
+  }
+
+  // Splits request-level settings into those the bot's allowedOverrides
+  // permit and those that are ignored
+  resolveOverrides(bot, requested = {}) {
+    const allowed = bot.allowedOverrides || [];
+    const overrides = {};
+    const ignored = [];
+
+    const fields = {
+      ...OVERRIDE_FIELDS,
+      generationParams: Object.keys(LLMService.pickGenerationParams(requested))
+    };
+
+    Object.entries(fields).forEach(([group, names]) => {
+      names.forEach(name => {
+        if (requested[name] === undefined) {
+          return;
         }
-      ];
+        if (allowed.includes(group)) {
+          overrides[name] = requested[name];
+        } else {
+          ignored.push(name);
+        }
+      });
+    });
+
+    return { overrides, ignored };
+  }
+
+  // Everything needed to send a message as the bot: the model within budget,
+  // generation params, retrieved content and the fitted context. Without
+  // useTools (e.g. when streaming) content is always retrieved up front.
+  async prepareChat(bot, message, { history = [], overrides = {}, useTools = true, userId } = {}) {
+    const target = this.resolveModelWithinBudget(bot);
+
+    // A budget downgrade wins over anything the caller asked for
+    if (!target.downgraded) {
+      if (overrides.provider) {
+        target.provider = overrides.provider;
+        target.model = overrides.model;
+        target.fallbacks = overrides.fallbacks || [];
+      } else if (overrides.model) {
+        target.model = overrides.model;
+      }
+    }
 
-      if (relevantContent.length > 0) {
-        context.push({
+    const params = {
+      ...bot.generationParams,
+      ...LLMService.pickGenerationParams(overrides)
+    };
+    const tools = useTools ? bot.tools || [] : [];
+
+    const contentType = overrides.contentType || bot.contentType;
+    const { language, locale } = LanguageService.resolveLocale(bot, message, history);
+
+    // Bots with the search tool retrieve content only when the model asks for
+    // it. If Contentstack is unreachable the bot answers without sources.
+    let found = [];
+    if (!tools.includes('search_content')) {
+      try {
+        found = await ContentstackService.intelligentSearch({
+          query: message,
+          contentType,
+          maxResults: overrides.maxResults || 3,
+          locale
+        });
+      } catch (error) {
+        console.warn(`Retrieval failed for bot ${bot.id}, answering without sources:`, error.message);
+      }
+    }
+    const relevantContent = found.map(entry => ({ contentType, ...entry }));
+
+    // Build context with system prompt and numbered relevant content, kept within the model's context window
+    const sources = relevantContent.length > 0
+      ? { entries: relevantContent, intro: "Here's some relevant information from our knowledge base:" }
+      : undefined;
+
+    const remembered = await MemoryService.buildMemoryMessage(bot, userId);
+
+    const fitted = await ContextService.fitContext({
+      provider: target.provider,
+      model: target.model,
+      params,
+      system: [
+        { role: 'system', content: bot.systemPrompt },
+        // Multilingual bots answer in the language the user writes in
+        ...(locale && language ? [{
           role: 'system',
-          content: `Here's some relevant information from our knowledge base:\n\n${relevantContent.map(item => `Title: ${item.title}\nDescription: ${item.description || item.content || ''}`).join('\n\n')}`
+          content: `Reply in ${LanguageService.getLanguageName(language)}, the language of the user's latest message, even when the knowledge base content is in another language.`
+        }] : []),
+        ...(remembered ? [remembered] : [])
+      ],
+      sources,
+      history,
+      message
+    });
+
+    return {
+      target,
+      tools,
+      language,
+      locale,
+      relevantContent,
+      fitted,
+      responseSchema: overrides.responseSchema || bot.responseSchema,
+      request: {
+        message,
+        provider: target.provider,
+        model: target.model,
+        context: fitted.messages,
+        fallbacks: target.fallbacks,
+        params,
+        botId: bot.id,
+        guardrails: bot.guardrails
+      }
+    };
+  }
+
+  // Answers a message as the bot. With a conversationId the stored history is
+  // used instead of the caller's and both turns are appended to the conversation.
+  // `userId` identifies the end user for bots that remember users.
+  async chat(id, message, { conversationId, history = [], requested = {}, signal, userId } = {}) {
+    const bot = await this.getActiveBot(id);
+
+    history = conversationId
+      ? await this.getConversationHistory(bot, conversationId)
+      : this.filterClientHistory(history);
+    userId = await this.resolveUserId(conversationId, userId);
+
+    const routed = await this.routeToHuman(bot, message, conversationId);
+    if (routed) {
+      return routed;
+    }
+
+    const { overrides, ignored } = this.resolveOverrides(bot, requested);
+
+    try {
+      const { target, tools, language, locale, relevantContent, fitted, responseSchema, request } = await this.prepareChat(bot, message, { history, overrides, userId });
+      request.signal = signal;
+
+      // Generate response using LLM, letting it call the bot's tools if it has any
+      const toolContext = { bot, locale, allowedTools: tools, sources: [] };
+      let response;
+
+      if (responseSchema) {
+        // Structured bots answer with schema-validated JSON and don't call tools
+        response = await LLMService.generateStructuredResponse({
+          ...request,
+          schema: responseSchema
+        });
+      } else if (tools.length > 0) {
+        response = await LLMService.generateWithTools({
+          ...request,
+          tools: ToolService.getDefinitions(tools),
+          executeTool: (call) => ToolService.executeToolCall(call, toolContext)
+        });
+      } else {
+        response = await LLMService.generateResponse({
+          ...request,
+          cache: {
+            ...bot.responseCache,
+            botId: bot.id,
+            sources: relevantContent
+          }
         });
       }
 
-      // Generate response using LLM
-      const response = await LLMService.generateResponse({
+      // JSON answers carry no citation markers
+      const { content, citations } = responseSchema
+        ? { content: response.content, citations: [] }
+        : CitationService.resolveCitations(response.content, relevantContent);
+
+      const sources = [...relevantContent, ...toolContext.sources];
+      const messageId = await this.recordTurn(bot.id, { conversationId, message, response: { ...response, content, citations }, sources });
+      // Not awaited: remembering the user shouldn't hold up the answer
+      MemoryService.learn(bot, userId, message, { conversationId, request });
+      const handoff = responseSchema ? null : await this.escalateIfUnsure(bot, conversationId, content);
+
+      // Nothing to follow up on once a person takes over
+      const suggestions = responseSchema || handoff ? [] : await SuggestionService.suggest(bot, {
         message,
-        provider: bot.llmProvider,
-        model: bot.llmModel,
-        context,
-        botId: bot.id
+        answer: content,
+        sources,
+        language,
+        locale,
+        request
       });
 
-      // Update bot usage statistics
-      await this.updateBotUsage(id);
-
       return {
-        message: response.content,
+        message: content,
+        citations,
+        suggestions,
+        conversationId,
+        messageId,
         provider: response.provider,
         model: response.model,
-        relevantContent: relevantContent.length,
-        sources: relevantContent
+        fallbackUsed: response.fallbackUsed,
+        budgetDowngraded: target.downgraded,
+        locale,
+        cached: !!response.cached,
+        finishReason: response.finishReason,
+        usage: response.usage,
+        toolCalls: response.toolCalls,
+        ...(responseSchema && {
+          data: response.parsed,
+          valid: response.valid,
+          validationErrors: response.validationErrors
+        }),
+        contextTrimmed: fitted.trimmed,
+        memory: fitted.memory,
+        ignoredOverrides: ignored,
+        handoff,
+        relevantContent: sources.length,
+        sources
       };
     } catch (error) {
-      console.error('Bot test error:', error);
-      throw new Error(`Bot test failed: ${error.message}`);
+      console.error('Bot chat error:', error);
+      if (error.status) {
+        throw error;
+      }
+      throw new Error(`Bot response failed: ${error.message}`);
     }
   }
 
+  // Streams the bot's answer as typed events: 'sources', 'token', 'tool_call',
+  // 'handoff', 'suggestions', 'usage', 'done' and 'error'. Tool calls are run between streamed rounds,
+  // the way generateWithTools does for complete responses.
+  async streamChat(id, message, { conversationId, history = [], requested = {}, signal, userId, maxToolRounds = 5 } = {}) {
+    const bot = await this.getActiveBot(id);
+
+    history = conversationId
+      ? await this.getConversationHistory(bot, conversationId)
+      : this.filterClientHistory(history);
+    userId = await this.resolveUserId(conversationId, userId);
+
+    const events = new EventEmitter();
+
+    const routed = await this.routeToHuman(bot, message, conversationId);
+    if (routed) {
+      setImmediate(() => {
+        if (routed.message) {
+          events.emit('token', { content: routed.message });
+        }
+        events.emit('handoff', routed.handoff);
+        events.emit('done', {
+          conversationId,
+          messageId: routed.messageId,
+          content: routed.message,
+          citations: [],
+          suggestions: [],
+          handoff: routed.handoff
+        });
+      });
+      return events;
+    }
+
+    const { overrides, ignored } = this.resolveOverrides(bot, requested);
+    const { target, tools, language, locale, relevantContent, request } = await this.prepareChat(bot, message, { history, overrides, userId });
+
+    const toolContext = { bot, locale, allowedTools: tools, sources: [] };
+    const definitions = tools.length > 0 ? ToolService.getDefinitions(tools) : [];
+    const messages = [...request.context, { role: 'user', content: message }];
+    let content = '';
+    let usage = null;
+
+    const fail = (error) => events.emit('error', error);
+
+    const runRound = async (round) => {
+      const stream = await LLMService.generateStreamingResponse({
+        ...request,
+        messages,
+        tools: round < maxToolRounds ? definitions : [],
+        signal
+      });
+
+      stream.on('data', (chunk) => {
+        content += chunk.content;
+        events.emit('token', chunk);
+      });
+      stream.on('error', fail);
+      stream.on('cancelled', (info) => events.emit('cancelled', info));
+
+      stream.on('end', async (final) => {
+        try {
+          usage = LLMService.addUsage(usage, final.usage);
+
+          if (final.toolCalls.length > 0 && round < maxToolRounds) {
+            messages.push({ role: 'assistant', content: final.fullContent, toolCalls: final.toolCalls });
+            const found = toolContext.sources.length;
+
+            for (const call of final.toolCalls) {
+              events.emit('tool_call', { id: call.id, name: call.name, arguments: call.arguments });
+              const result = await ToolService.executeToolCall(call, toolContext);
+              messages.push({
+                role: 'tool',
+                toolCallId: call.id,
+                name: call.name,
+                content: typeof result === 'string' ? result : JSON.stringify(result)
+              });
+            }
+
+            if (toolContext.sources.length > found) {
+              events.emit('sources', { sources: this.describeSources(toolContext.sources.slice(found)) });
+            }
+            return await runRound(round + 1);
+          }
+
+          // Tokens went out as generated; the final answer has its markers checked
+          const resolved = CitationService.resolveCitations(content, relevantContent);
+
+          const messageId = await this.recordTurn(bot.id, {
+            conversationId,
+            message,
+            response: { ...resolved, provider: final.provider, model: final.model, usage },
+            sources: [...relevantContent, ...toolContext.sources]
+          });
+          MemoryService.learn(bot, userId, message, { conversationId, request });
+
+          const handoff = await this.escalateIfUnsure(bot, conversationId, resolved.content);
+          if (handoff) {
+            events.emit('handoff', handoff);
+          }
+
+          const suggestions = handoff ? [] : await SuggestionService.suggest(bot, {
+            message,
+            answer: resolved.content,
+            sources: [...relevantContent, ...toolContext.sources],
+            language,
+            locale,
+            request: { ...request, signal }
+          });
+          if (suggestions.length > 0) {
+            events.emit('suggestions', { suggestions });
+          }
+
+          events.emit('usage', usage);
+          events.emit('done', {
+            conversationId,
+            messageId,
+            provider: final.provider,
+            model: final.model,
+            fallbackUsed: final.fallbackUsed,
+            budgetDowngraded: target.downgraded,
+            locale,
+            finishReason: final.finishReason,
+            ignoredOverrides: ignored,
+            content: resolved.content,
+            citations: resolved.citations,
+            suggestions,
+            handoff
+          });
+        } catch (error) {
+          fail(error);
+        }
+      });
+    };
+
+    // Start once the caller has had a chance to attach listeners
+    setImmediate(() => {
+      events.emit('sources', { sources: this.describeSources(relevantContent) });
+      runRound(0).catch(fail);
+    });
+
+    return events;
+  }
+
+  // What clients get to see of a source entry
+  describeSources(sources) {
+    return sources.map(source => ({
+      uid: source.uid,
+      title: source.title,
+      contentType: source.contentType || source.content_type || null
+    }));
+  }
+
+  // Sends the message to a person instead of the model when the conversation
+  // is already with an operator or the message asks for one. Returns the
+  // chat result in that case, otherwise null.
+  async routeToHuman(bot, message, conversationId) {
+    if (!conversationId) {
+      return null;
+    }
+
+    const conversation = await ConversationService.getConversation(conversationId);
+    const result = { citations: [], suggestions: [], conversationId, relevantContent: 0, sources: [] };
+
+    // The bot stays quiet while an operator owns the conversation
+    if (HandoffService.isActive(conversation)) {
+      await ConversationService.addMessages(conversationId, [{ role: 'user', content: message }]);
+      return { ...result, message: null, messageId: null, handoff: conversation.handoff };
+    }
+
+    const trigger = HandoffService.detectTrigger(bot, message);
+    if (!trigger) {
+      return null;
+    }
+
+    const reply = HandoffService.getHandoffMessage(bot);
+    const messageId = await this.recordTurn(bot.id, { conversationId, message, response: { content: reply } });
+    const handoff = await HandoffService.escalate(conversationId, trigger);
+
+    return { ...result, message: reply, messageId, handoff };
+  }
+
+  async escalateIfUnsure(bot, conversationId, answer) {
+    if (!conversationId || !HandoffService.isLowConfidence(bot, answer)) {
+      return null;
+    }
+    return HandoffService.escalate(conversationId, {
+      trigger: 'low_confidence',
+      reason: 'Bot could not answer confidently'
+    });
+  }
+
+  // Appends a question and answer to the conversation, if there is one, and
+  // counts the bot's usage. Returns the stored answer's id, if stored.
+  async recordTurn(id, { conversationId, message, response, sources = [] }) {
+    let messageId = null;
+
+    if (conversationId) {
+      const added = await ConversationService.addMessages(conversationId, [
+        { role: 'user', content: message },
+        {
+          role: 'assistant',
+          content: response.content,
+          citations: response.citations,
+          sources,
+          provider: response.provider,
+          model: response.model,
+          usage: response.usage
+        }
+      ]);
+      messageId = added ? added[1].id : null;
+    }
+
+    // Update bot usage statistics
+    await this.updateBotUsage(id);
+
+    return messageId;
+  }
+
+  // Picks the provider/model for a bot, honoring its monthly budget cap:
+  // once exceeded the bot is either blocked or moved to its cheaper model
+  resolveModelWithinBudget(bot) {
+    const target = {
+      provider: bot.llmProvider,
+      model: bot.llmModel,
+      fallbacks: bot.fallbacks || [],
+      downgraded: false
+    };
+    const status = UsageService.checkBudget(bot);
+
+    if (!status.exceeded) {
+      return target;
+    }
+
+    if (status.action === 'downgrade' && bot.budget.downgradeModel) {
+      return {
+        provider: bot.budget.downgradeProvider || bot.llmProvider,
+        model: bot.budget.downgradeModel,
+        fallbacks: [],
+        downgraded: true
+      };
+    }
+
+    const error = new Error(`Monthly budget of $${status.limit} exceeded for bot ${bot.name} (spent $${status.spent})`);
+    error.status = 402;
+    throw error;
+  }
+
   async updateBotUsage(id) {
     const botIndex = this.bots.findIndex(bot => bot.id === id);
     
@@ -233,7 +781,9 @@ class BotService {
       createdAt: bot.createdAt,
       isActive: bot.isActive,
       contentType: bot.contentType,
-      llmProvider: bot.llmProvider
+      llmProvider: bot.llmProvider,
+      feedback: await ConversationService.getFeedbackSummary(id),
+      guardrails: GuardrailService.getSummary({ botId: id })
     };
   }
 
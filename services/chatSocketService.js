@@ -0,0 +1,313 @@
+const { WebSocketServer } = require('ws');
+const BotService = require('./botService');
+const ConversationService = require('./conversationService');
+const HandoffService = require('./handoffService');
+
+function upgradeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// WebSocket transport for the chat widgets, served at /api/ws on the HTTP
+// server. A widget connects with ?botId=...&conversationId=... (a new
+// conversation is started without one), optionally with &locale=... for the
+// start message in `ready` and &userId=... for bots that remember users;
+// the bot must be active and, when its widget config lists allowedOrigins,
+// the page origin must be one of them. Messages are JSON objects with a `type`:
+//
+//   client -> server: message { content }, typing { isTyping }, cancel, ping
+//   server -> client: ready, sources, token, tool_call, handoff, suggestions,
+//                     usage, done, error, message { role, content, operator? },
+//                     typing { from, isTyping }, event { event, ... }, pong
+//
+// Handoff changes are pushed as events: handoff_requested, agent_joined,
+// agent_left; operator replies arrive as messages.
+//
+// Frames over WS_MAX_PAYLOAD bytes close the connection, and each client IP
+// may send WS_RATE_LIMIT_MAX messages per WS_RATE_LIMIT_WINDOW_MS across its
+// connections; messages over the limit are dropped with an error.
+class ChatSocketService {
+  constructor() {
+    this.path = '/api/ws';
+    this.heartbeatMs = parseInt(process.env.WS_HEARTBEAT_MS) || 30000;
+    this.maxPayload = parseInt(process.env.WS_MAX_PAYLOAD) || 64 * 1024;
+    this.rateLimitWindowMs = parseInt(process.env.WS_RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+    this.rateLimitMax = parseInt(process.env.WS_RATE_LIMIT_MAX) || 60;
+    // ip -> { count, resetAt }
+    this.rateLimits = new Map();
+    // conversationId -> Set of sockets
+    this.rooms = new Map();
+    this.server = null;
+
+    HandoffService.on('requested', (conversationId, handoff) => this.pushEvent(conversationId, 'handoff_requested', { handoff }));
+    HandoffService.on('claimed', (conversationId, handoff) => this.pushEvent(conversationId, 'agent_joined', { operator: handoff.claimedBy }));
+    HandoffService.on('closed', (conversationId, handoff) => this.pushEvent(conversationId, 'agent_left', { operator: handoff.closedBy }));
+    HandoffService.on('message', (conversationId, message) => {
+      this.broadcast(conversationId, 'message', {
+        id: message.id,
+        role: message.role,
+        content: message.content,
+        operator: message.operator
+      });
+    });
+  }
+
+  attach(httpServer) {
+    this.server = new WebSocketServer({ noServer: true, maxPayload: this.maxPayload });
+
+    httpServer.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== this.path) {
+        socket.destroy();
+        return;
+      }
+
+      this.authenticate(req, url)
+        .then(({ config, conversationId }) => {
+          this.server.handleUpgrade(req, socket, head, (ws) => this.handleConnection(ws, config, conversationId, req.socket.remoteAddress));
+        })
+        .catch((error) => {
+          socket.write(`HTTP/1.1 ${error.status || 500} ${error.message}\r\nConnection: close\r\n\r\n`);
+          socket.destroy();
+        });
+    });
+
+    const heartbeat = setInterval(() => {
+      const now = Date.now();
+      this.rateLimits.forEach((limit, ip) => {
+        if (limit.resetAt <= now) this.rateLimits.delete(ip);
+      });
+
+      this.server.clients.forEach((ws) => {
+        if (!ws.isAlive) {
+          ws.terminate();
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, this.heartbeatMs);
+    heartbeat.unref();
+
+    return this.server;
+  }
+
+  // Widgets authenticate with the bot's public config rather than a secret
+  async authenticate(req, url) {
+    const botId = url.searchParams.get('botId');
+    const config = botId ? await BotService.getBotConfig(botId, {
+      locale: url.searchParams.get('locale'),
+      acceptLanguage: req.headers['accept-language']
+    }) : null;
+
+    if (!config || !config.isActive) {
+      throw upgradeError(404, 'Bot Not Found');
+    }
+
+    const origin = req.headers.origin;
+    const allowedOrigins = config.allowedOrigins || [];
+    if (allowedOrigins.length > 0 && !allowedOrigins.includes(origin)) {
+      throw upgradeError(403, 'Origin Not Allowed');
+    }
+
+    let conversationId = url.searchParams.get('conversationId');
+    if (conversationId) {
+      const conversation = await ConversationService.getConversation(conversationId);
+      if (!conversation || conversation.botId !== botId) {
+        throw upgradeError(404, 'Conversation Not Found');
+      }
+    } else {
+      conversationId = (await ConversationService.createConversation({
+        botId,
+        metadata: { channel: 'websocket' },
+        userId: url.searchParams.get('userId') || undefined
+      })).id;
+    }
+
+    return { config, conversationId };
+  }
+
+  // Counts a message against the client's IP; false once over the limit
+  allowMessage(ip) {
+    const now = Date.now();
+    let limit = this.rateLimits.get(ip);
+    if (!limit || limit.resetAt <= now) {
+      limit = { count: 0, resetAt: now + this.rateLimitWindowMs };
+      this.rateLimits.set(ip, limit);
+    }
+    limit.count += 1;
+    return limit.count <= this.rateLimitMax;
+  }
+
+  handleConnection(ws, config, conversationId, ip) {
+    ws.isAlive = true;
+    ws.conversationId = conversationId;
+    ws.botId = config.id;
+    ws.controller = null;
+
+    this.join(ws);
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', (raw) => {
+      if (!this.allowMessage(ip)) {
+        this.send(ws, 'error', { error: 'Too many messages, please slow down' });
+        return;
+      }
+
+      let data;
+      try {
+        data = JSON.parse(raw.toString());
+      } catch (error) {
+        this.send(ws, 'error', { error: 'Messages must be JSON' });
+        return;
+      }
+      this.handleMessage(ws, data);
+    });
+
+    // Oversized or malformed frames; ws closes the connection after this
+    ws.on('error', (error) => {
+      console.warn('WebSocket connection error:', error.message);
+    });
+
+    ws.on('close', () => {
+      this.cancel(ws);
+      this.leave(ws);
+    });
+
+    this.send(ws, 'ready', { conversationId, bot: config });
+  }
+
+  handleMessage(ws, data) {
+    switch (data.type) {
+      case 'message':
+        this.reply(ws, data);
+        break;
+      case 'typing':
+        this.broadcast(ws.conversationId, 'typing', { from: 'user', isTyping: !!data.isTyping }, ws);
+        break;
+      case 'cancel':
+        this.cancel(ws);
+        break;
+      case 'ping':
+        this.send(ws, 'pong', {});
+        break;
+      default:
+        this.send(ws, 'error', { error: `Unknown message type: ${data.type}` });
+    }
+  }
+
+  async reply(ws, { content }) {
+    if (typeof content !== 'string' || !content.trim()) {
+      this.send(ws, 'error', { error: 'Message content is required' });
+      return;
+    }
+
+    if (ws.controller) {
+      this.send(ws, 'error', { error: 'A response is already in progress' });
+      return;
+    }
+
+    const { conversationId } = ws;
+    const controller = new AbortController();
+    ws.controller = controller;
+
+    const finish = () => {
+      if (ws.controller === controller) {
+        ws.controller = null;
+      }
+      this.broadcast(conversationId, 'typing', { from: 'bot', isTyping: false });
+    };
+
+    try {
+      // Other participants (another tab, a human agent) see the question too
+      this.broadcast(conversationId, 'message', { role: 'user', content }, ws);
+
+      // No bot typing indicator while an operator has the conversation
+      const conversation = await ConversationService.getConversation(conversationId);
+      if (!HandoffService.isActive(conversation)) {
+        this.broadcast(conversationId, 'typing', { from: 'bot', isTyping: true });
+      }
+
+      const events = await BotService.streamChat(ws.botId, content, {
+        conversationId,
+        signal: controller.signal
+      });
+
+      ['sources', 'token', 'tool_call', 'handoff', 'suggestions', 'usage'].forEach(name => {
+        events.on(name, (payload) => this.broadcast(conversationId, name, payload));
+      });
+      events.on('done', (payload) => {
+        finish();
+        this.broadcast(conversationId, 'done', payload);
+      });
+      events.on('error', (error) => {
+        finish();
+        this.send(ws, 'error', { error: error.message });
+      });
+      events.on('cancelled', ({ reason }) => {
+        finish();
+        this.send(ws, 'error', { error: 'Response cancelled', reason });
+      });
+    } catch (error) {
+      console.error('WebSocket chat error:', error);
+      finish();
+      this.send(ws, 'error', { error: error.message });
+    }
+  }
+
+  cancel(ws) {
+    if (ws.controller) {
+      ws.controller.abort();
+      ws.controller = null;
+    }
+  }
+
+  join(ws) {
+    if (!this.rooms.has(ws.conversationId)) {
+      this.rooms.set(ws.conversationId, new Set());
+    }
+    this.rooms.get(ws.conversationId).add(ws);
+  }
+
+  leave(ws) {
+    const room = this.rooms.get(ws.conversationId);
+    if (!room) return;
+
+    room.delete(ws);
+    if (room.size === 0) {
+      this.rooms.delete(ws.conversationId);
+    }
+  }
+
+  send(ws, type, payload) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify({ type, ...payload }));
+    }
+  }
+
+  broadcast(conversationId, type, payload, except) {
+    const room = this.rooms.get(conversationId);
+    if (!room) return;
+
+    room.forEach((ws) => {
+      if (ws !== except) {
+        this.send(ws, type, payload);
+      }
+    });
+  }
+
+  // Server-side events for a conversation, e.g. a human agent joining
+  pushEvent(conversationId, event, payload = {}) {
+    this.broadcast(conversationId, 'event', { event, ...payload });
+  }
+
+  isConnected(conversationId) {
+    return this.rooms.has(conversationId);
+  }
+}
+
+module.exports = new ChatSocketService();
@@ -0,0 +1,63 @@
+const { wrapUntrustedEntries } = require('./promptInjection');
+
+// Numbers retrieved entries in the prompt so the model can cite them as
+// [1], [2], and maps the markers in its answer back to the entries.
+class CitationService {
+  constructor() {
+    this.markerPattern = /\s?\[(\d+(?:\s*,\s*\d+)*)\]/g;
+  }
+
+  // System message content listing the entries by number. Entry text is
+  // untrusted: it is delimited and instruction-like sentences are removed.
+  // `warn: false` skips the warnings when the same entries are rebuilt.
+  buildSourcesMessage(entries, intro, { maxDescriptionChars, warn = true } = {}) {
+    const { text } = wrapUntrustedEntries(entries, {
+      maxDescriptionChars,
+      onFlagged: warn ? (item, flagged) => {
+        console.warn(`Neutralized instruction-like text in entry ${item.uid || item.title}: ${flagged.join(', ')}`);
+      } : null
+    });
+
+    return `${intro}\n\n${text}\n\nWhen you use information from an entry, cite it with its number in square brackets, e.g. [1] or [1, 2]. Only cite the numbered entries above.`;
+  }
+
+  // Checks the [n] markers in an answer against the numbered entries.
+  // Markers pointing at entries that weren't retrieved are removed; the rest
+  // become citations { marker, uid, title, contentType } in order of use.
+  resolveCitations(content, entries, { contentType } = {}) {
+    if (typeof content !== 'string') {
+      return { content, citations: [] };
+    }
+
+    const cited = new Map();
+
+    const cleaned = content.replace(this.markerPattern, (marker, numbers) => {
+      const valid = numbers.split(',')
+        .map(number => parseInt(number.trim()))
+        .filter(number => number >= 1 && number <= entries.length);
+
+      if (valid.length === 0) {
+        return '';
+      }
+
+      valid.forEach(number => {
+        if (!cited.has(number)) {
+          const entry = entries[number - 1];
+          cited.set(number, {
+            marker: number,
+            uid: entry.uid,
+            title: entry.title,
+            contentType: entry.contentType || entry.content_type || contentType || null
+          });
+        }
+      });
+
+      const leading = marker.startsWith(' ') ? ' ' : '';
+      return `${leading}[${valid.join(', ')}]`;
+    });
+
+    return { content: cleaned, citations: [...cited.values()] };
+  }
+}
+
+module.exports = new CitationService();
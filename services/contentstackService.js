@@ -1,19 +1,63 @@
+const fs = require('fs');
 const axios = require('axios');
 
+// Delivery reads are served from a JSON file instead of the API when
+// CONTENTSTACK_FIXTURES_FILE is set, for development and CI without a stack.
+// The file maps content type uids to entries, e.g.
+//
+//   { "tour": [{ "uid": "blt1", "title": "Louvre tour", "description": "...", "locale": "en-us" }] }
+//
+// Entries without a locale are served for every locale.
 class ContentstackService {
   constructor() {
+    this.fixturesFile = process.env.CONTENTSTACK_FIXTURES_FILE;
+    this.fixtures = this.fixturesFile ? this.loadFixtures() : null;
     this.apiKey = process.env.CONTENTSTACK_API_KEY;
     this.deliveryToken = process.env.CONTENTSTACK_DELIVERY_TOKEN;
     this.managementToken = process.env.CONTENTSTACK_MANAGEMENT_TOKEN;
     this.environment = process.env.CONTENTSTACK_ENVIRONMENT || 'development';
     this.region = process.env.CONTENTSTACK_REGION || 'eu';
+    this.masterLocale = process.env.CONTENTSTACK_MASTER_LOCALE || 'en-us';
     
     this.deliveryBaseURL = `https://${this.region}-cdn.contentstack.com/v3`;
     this.managementBaseURL = `https://${this.region}-api.contentstack.com/v3`;
   }
 
+  loadFixtures() {
+    try {
+      return JSON.parse(fs.readFileSync(this.fixturesFile, 'utf8'));
+    } catch (error) {
+      console.error('Error loading Contentstack fixtures:', error);
+      return {};
+    }
+  }
+
+  // Fixture entries of a content type in a locale, falling back to the
+  // master locale like the Delivery API
+  getFixtureEntries(contentType, locale) {
+    const entries = this.fixtures[contentType] || [];
+    const inLocale = (wanted) => entries.filter(entry => !entry.locale || entry.locale === wanted);
+    const localized = inLocale(locale || this.masterLocale);
+    return localized.length > 0 || !this.shouldFallBack(locale) ? localized : inLocale(this.masterLocale);
+  }
+
+  // Delivery API query params for a locale. Unlocalized entries come back
+  // in the stack's fallback locale, ending at the master locale.
+  localeParams(locale) {
+    return locale ? { locale, include_fallback: true } : {};
+  }
+
+  // Whether a failed or empty localized read should be retried in the master locale
+  shouldFallBack(locale, error) {
+    return !!locale && locale !== this.masterLocale && (!error || [400, 404, 422].includes(error.response?.status));
+  }
+
   // Delivery API methods (for reading content)
-  async getAllEntries({ contentType = 'tours', limit = 50 }) {
+  async getAllEntries({ contentType = 'tours', limit = 50, locale }) {
+    if (this.fixtures) {
+      return this.getFixtureEntries(contentType, locale).slice(0, limit);
+    }
+
     try {
       const response = await axios.get(
         `${this.deliveryBaseURL}/content_types/${contentType}/entries`,
@@ -24,21 +68,63 @@ class ContentstackService {
           },
           params: {
             environment: this.environment,
-            limit
+            limit,
+            ...this.localeParams(locale)
           }
         }
       );
 
-      return response.data.entries || [];
+      const entries = response.data.entries || [];
+      if (entries.length === 0 && this.shouldFallBack(locale)) {
+        return this.getAllEntries({ contentType, limit, locale: this.masterLocale });
+      }
+      return entries;
     } catch (error) {
+      if (this.shouldFallBack(locale, error)) {
+        return this.getAllEntries({ contentType, limit, locale: this.masterLocale });
+      }
       console.error('Get all entries error:', error.response?.data || error.message);
       throw new Error(`Failed to fetch entries: ${error.response?.data?.error_message || error.message}`);
     }
   }
 
-  async searchContent({ query, contentType = 'tours', maxResults = 10 }) {
+  async getEntry({ uid, contentType = 'tours', locale }) {
+    if (this.fixtures) {
+      const find = (wanted) => this.getFixtureEntries(contentType, wanted).find(entry => entry.uid === uid);
+      return find(locale) || (this.shouldFallBack(locale) && find(this.masterLocale)) || null;
+    }
+
+    try {
+      const response = await axios.get(
+        `${this.deliveryBaseURL}/content_types/${contentType}/entries/${uid}`,
+        {
+          headers: {
+            'api_key': this.apiKey,
+            'access_token': this.deliveryToken
+          },
+          params: {
+            environment: this.environment,
+            ...this.localeParams(locale)
+          }
+        }
+      );
+
+      return response.data.entry || null;
+    } catch (error) {
+      if (this.shouldFallBack(locale, error)) {
+        return this.getEntry({ uid, contentType, locale: this.masterLocale });
+      }
+      if (error.response?.status === 404 || error.response?.status === 422) {
+        return null;
+      }
+      console.error('Get entry error:', error.response?.data || error.message);
+      throw new Error(`Failed to fetch entry: ${error.response?.data?.error_message || error.message}`);
+    }
+  }
+
+  async searchContent({ query, contentType = 'tours', maxResults = 10, locale }) {
     try {
-      const entries = await this.getAllEntries({ contentType, limit: 100 });
+      const entries = await this.getAllEntries({ contentType, limit: 100, locale });
       
       if (!query) {
         return entries.slice(0, maxResults);
@@ -150,14 +236,15 @@ class ContentstackService {
     }
   }
 
-  async publishEntry({ uid, contentType = 'tours' }) {
+  // Publishes to the given locales, by default only the master locale
+  async publishEntry({ uid, contentType = 'tours', locales = [this.masterLocale] }) {
     try {
       const response = await axios.post(
         `${this.managementBaseURL}/content_types/${contentType}/entries/${uid}/publish`,
         {
           entry: {
             environments: [this.environment],
-            locales: ['en-us']
+            locales
           }
         },
         {
@@ -262,10 +349,10 @@ class ContentstackService {
   }
 
   // Intelligent search with AI-enhanced query processing
-  async intelligentSearch({ query, contentType = 'tour', maxResults = 10 }) {
+  async intelligentSearch({ query, contentType = 'tour', maxResults = 10, locale }) {
     try {
       // First, get all entries
-      const allEntries = await this.getAllEntries({ contentType, limit: 100 });
+      const allEntries = await this.getAllEntries({ contentType, limit: 100, locale });
       
       if (!query || allEntries.length === 0) {
         return allEntries.slice(0, maxResults);
@@ -307,7 +394,7 @@ class ContentstackService {
     } catch (error) {
       console.error('Intelligent search error:', error);
       // Fallback to regular search
-      return this.searchContent({ query, contentType, maxResults });
+      return this.searchContent({ query, contentType, maxResults, locale });
     }
   }
 
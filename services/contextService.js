@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const LLMService = require('./llmService');
+const CitationService = require('./citationService');
+
+const MEMORY_PREFIX = 'Summary of the earlier conversation:';
+
+// Keeps prompts inside the model's context window. The window (minus the
+// reserved output tokens) is split between the system prompt, retrieved
+// content and conversation history; retrieved content is truncated to its
+// share and the oldest history turns are dropped and folded into a running
+// memory message. Knowledge base entries passed as `sources` are shortened
+// entry by entry, so their delimiters and the citation instruction survive.
+class ContextService {
+  constructor() {
+    this.retrievedShare = parseFloat(process.env.CONTEXT_RETRIEVED_SHARE) || 0.4;
+    this.memoryTokens = parseInt(process.env.CONTEXT_MEMORY_TOKENS) || 300;
+    this.safetyMargin = 0.05;
+    this.summaryCache = new Map();
+    this.summaryCacheSize = 500;
+  }
+
+  // Rough characters-per-token ratios by model family; there is no tokenizer
+  // for every provider, so estimates err on the high side.
+  getCharsPerToken(model = '') {
+    const name = model.toLowerCase();
+    if (name.includes('claude')) return 3.5;
+    if (name.includes('llama') || name.includes('mixtral') || name.includes('mistral')) return 3.6;
+    if (name.includes('gpt')) return 4;
+    return 3.5;
+  }
+
+  estimateTokens(text, model) {
+    if (!text) return 0;
+    const value = typeof text === 'string' ? text : JSON.stringify(text);
+    // Non-latin scripts tokenize at roughly one token per character
+    const wide = (value.match(/[^\u0000-\u024f]/g) || []).length;
+    return Math.ceil((value.length - wide) / this.getCharsPerToken(model)) + wide;
+  }
+
+  estimateMessagesTokens(messages, model) {
+    // ~4 tokens of framing per message
+    return messages.reduce((total, message) => total + 4 + this.estimateTokens(message.content, model), 0);
+  }
+
+  truncateToTokens(text, tokens, model) {
+    if (this.estimateTokens(text, model) <= tokens) {
+      return text;
+    }
+    const chars = Math.max(0, Math.floor(tokens * this.getCharsPerToken(model)) - 20);
+    return `${text.slice(0, chars)}\n…[truncated]`;
+  }
+
+  isMemoryMessage(message) {
+    return message.role === 'system' && typeof message.content === 'string' && message.content.startsWith(MEMORY_PREFIX);
+  }
+
+  // Returns the messages to send ahead of the user's message:
+  //   system prompt, retrieved content, running memory, recent history
+  // `sources` is { entries, intro } for CitationService.buildSourcesMessage.
+  async fitContext({ provider, model, params = {}, system = [], sources, retrieved = [], history = [], message = '' }) {
+    const limits = LLMService.getModelLimits(provider, model, params);
+    const selectedModel = limits.model;
+
+    const available = Math.floor(limits.contextWindow * (1 - this.safetyMargin)) - limits.maxOutputTokens
+      - this.estimateTokens(message, selectedModel) - 4;
+    const systemTokens = this.estimateMessagesTokens(system, selectedModel);
+    const remaining = Math.max(available - systemTokens, 0);
+
+    // Retrieved content gets its share; whatever it doesn't use goes to history
+    const retrievedBudget = Math.floor(remaining * this.retrievedShare);
+    const sourcesMessages = sources ? [this.fitSources(sources, retrievedBudget, selectedModel)] : [];
+    const sourcesTokens = this.estimateMessagesTokens(sourcesMessages, selectedModel);
+    const fittedRetrieved = [
+      ...sourcesMessages,
+      ...this.fitRetrieved(retrieved, Math.max(retrievedBudget - sourcesTokens, 0), selectedModel)
+    ];
+    const retrievedTokens = this.estimateMessagesTokens(fittedRetrieved, selectedModel);
+    const historyBudget = remaining - retrievedTokens;
+
+    // Earlier memory sent back by the client is merged into the new one
+    const previousMemory = history.filter(item => this.isMemoryMessage(item))
+      .map(item => item.content.slice(MEMORY_PREFIX.length).trim())
+      .join('\n');
+    const turns = history.filter(item => !this.isMemoryMessage(item));
+
+    let kept = turns;
+    let dropped = [];
+    if (this.estimateMessagesTokens(turns, selectedModel) > historyBudget) {
+      const recentBudget = Math.max(historyBudget - this.memoryTokens, 0);
+      let used = 0;
+      let index = turns.length;
+
+      while (index > 0) {
+        const cost = this.estimateMessagesTokens([turns[index - 1]], selectedModel);
+        if (used + cost > recentBudget) break;
+        used += cost;
+        index -= 1;
+      }
+
+      // Don't start the kept history with an orphaned tool result
+      while (index < turns.length && turns[index].role === 'tool') {
+        index += 1;
+      }
+
+      kept = turns.slice(index);
+      dropped = turns.slice(0, index);
+    }
+
+    let memory = previousMemory || null;
+    if (dropped.length > 0) {
+      memory = await this.summarize({ provider, model: selectedModel, previousMemory, messages: dropped });
+    }
+
+    const memoryMessages = memory
+      ? [{ role: 'system', content: `${MEMORY_PREFIX}\n${this.truncateToTokens(memory, this.memoryTokens, selectedModel)}` }]
+      : [];
+    const messages = [...system, ...fittedRetrieved, ...memoryMessages, ...kept];
+
+    return {
+      messages,
+      memory,
+      trimmed: dropped.length,
+      estimatedTokens: this.estimateMessagesTokens(messages, selectedModel) + this.estimateTokens(message, selectedModel),
+      contextWindow: limits.contextWindow
+    };
+  }
+
+  // The sources message with every entry's description cut to the same
+  // length, whatever it takes to fit the budget
+  fitSources({ entries, intro }, budget, model) {
+    const build = (options) => ({ role: 'system', content: CitationService.buildSourcesMessage(entries, intro, options) });
+
+    let fitted = build();
+    if (this.estimateMessagesTokens([fitted], model) <= budget || entries.length === 0) {
+      return fitted;
+    }
+
+    const framing = this.estimateMessagesTokens([build({ maxDescriptionChars: 0, warn: false })], model);
+    let maxDescriptionChars = Math.max(Math.floor((budget - framing) * this.getCharsPerToken(model) / entries.length), 0);
+    fitted = build({ maxDescriptionChars, warn: false });
+
+    // Non-latin text costs more tokens per character, so it can still run over
+    while (maxDescriptionChars > 0 && this.estimateMessagesTokens([fitted], model) > budget) {
+      maxDescriptionChars = Math.floor(maxDescriptionChars * 0.8);
+      fitted = build({ maxDescriptionChars, warn: false });
+    }
+    return fitted;
+  }
+
+  fitRetrieved(retrieved, budget, model) {
+    const total = this.estimateMessagesTokens(retrieved, model);
+    if (total <= budget || retrieved.length === 0) {
+      return retrieved;
+    }
+
+    // Shrink every retrieved message by the same factor
+    const ratio = budget / total;
+    return retrieved.map(item => ({
+      ...item,
+      content: this.truncateToTokens(item.content, Math.floor(this.estimateTokens(item.content, model) * ratio), model)
+    }));
+  }
+
+  async summarize({ provider, model, previousMemory, messages }) {
+    const transcript = messages
+      .filter(item => item.content)
+      .map(item => `${item.role}: ${typeof item.content === 'string' ? item.content : JSON.stringify(item.content)}`)
+      .join('\n');
+    const key = crypto.createHash('sha256').update(`${provider}:${model}:${previousMemory}\n${transcript}`).digest('hex');
+
+    if (this.summaryCache.has(key)) {
+      return this.summaryCache.get(key);
+    }
+
+    let summary;
+    try {
+      const response = await LLMService.generateResponse({
+        message: `${previousMemory ? `Existing summary:\n${previousMemory}\n\n` : ''}Conversation to add:\n${this.truncateToTokens(transcript, 4000, model)}`,
+        provider,
+        model,
+        context: [{
+          role: 'system',
+          content: 'Summarize the conversation so far in a few short bullet points. Keep facts about the user (names, dates, destinations, budget, preferences) and any open questions. Reply with the summary only.'
+        }],
+        params: { maxTokens: this.memoryTokens, temperature: 0.2 }
+      });
+      summary = response.content.trim();
+    } catch (error) {
+      console.error('Context summarization error:', error.message);
+      // Fall back to keeping what the user asked
+      const questions = messages.filter(item => item.role === 'user').map(item => `- ${String(item.content).slice(0, 200)}`).join('\n');
+      summary = [previousMemory, questions].filter(Boolean).join('\n');
+    }
+
+    if (this.summaryCache.size >= this.summaryCacheSize) {
+      this.summaryCache.delete(this.summaryCache.keys().next().value);
+    }
+    this.summaryCache.set(key, summary);
+
+    return summary;
+  }
+}
+
+module.exports = new ContextService();
@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Server-side conversation history, so clients only send the new message.
+// Each conversation belongs to one bot and keeps its messages with the
+// sources and model that produced every answer.
+class ConversationService {
+  constructor() {
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.conversationsFile = path.join(this.dataDir, 'conversations.json');
+    this.ensureDataDirectory();
+    this.conversations = this.loadConversations();
+  }
+
+  ensureDataDirectory() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  loadConversations() {
+    try {
+      if (fs.existsSync(this.conversationsFile)) {
+        const data = fs.readFileSync(this.conversationsFile, 'utf8');
+        return JSON.parse(data);
+      }
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+    }
+    return [];
+  }
+
+  saveConversations() {
+    try {
+      fs.writeFileSync(this.conversationsFile, JSON.stringify(this.conversations, null, 2));
+    } catch (error) {
+      console.error('Error saving conversations:', error);
+      throw new Error('Failed to save conversation data');
+    }
+  }
+
+  // `userId` is the widget's id for the end user, if it has one
+  async createConversation({ botId, title, metadata = {}, userId }) {
+    const conversation = {
+      id: uuidv4(),
+      botId,
+      userId: userId || null,
+      title: title || null,
+      metadata,
+      messages: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.conversations.push(conversation);
+    this.saveConversations();
+
+    return conversation;
+  }
+
+  async getConversation(id) {
+    return this.conversations.find(conversation => conversation.id === id);
+  }
+
+  async listConversations({ botId } = {}) {
+    return this.conversations
+      .filter(conversation => !botId || conversation.botId === botId)
+      .map(({ messages, ...conversation }) => ({
+        ...conversation,
+        messageCount: messages.length
+      }));
+  }
+
+  // Sets top-level fields such as `handoff`; messages go through addMessages
+  async updateConversation(id, changes) {
+    const conversation = await this.getConversation(id);
+
+    if (!conversation) {
+      return null;
+    }
+
+    Object.assign(conversation, changes, {
+      id: conversation.id,
+      messages: conversation.messages,
+      updatedAt: new Date().toISOString()
+    });
+    this.saveConversations();
+
+    return conversation;
+  }
+
+  // Full conversations of a bot started within [from, to]
+  // A date-only `to` such as 2024-01-31 includes that whole day (UTC)
+  async findConversations({ botId, from, to } = {}) {
+    const start = from ? new Date(from).getTime() : -Infinity;
+    let end = to ? new Date(to).getTime() : Infinity;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to || '')) {
+      end += 24 * 60 * 60 * 1000 - 1;
+    }
+
+    return this.conversations.filter(conversation => {
+      const createdAt = new Date(conversation.createdAt).getTime();
+      return (!botId || conversation.botId === botId) && createdAt >= start && createdAt <= end;
+    });
+  }
+
+  async addMessages(id, messages) {
+    const conversation = await this.getConversation(id);
+
+    if (!conversation) {
+      return null;
+    }
+
+    const now = new Date().toISOString();
+    const added = messages.map(message => ({
+      id: uuidv4(),
+      role: message.role,
+      content: message.content,
+      citations: message.citations || [],
+      // Keep a reference to each source rather than the whole entry
+      sources: (message.sources || []).map(source => ({
+        uid: source.uid,
+        title: source.title,
+        contentType: source.contentType || source.content_type || null
+      })),
+      provider: message.provider || null,
+      model: message.model || null,
+      // Set when a human operator wrote the message
+      operator: message.operator || null,
+      usage: message.usage || null,
+      createdAt: now
+    }));
+
+    conversation.messages.push(...added);
+    if (!conversation.title) {
+      const first = conversation.messages.find(message => message.role === 'user');
+      conversation.title = first ? first.content.slice(0, 80) : null;
+    }
+    conversation.updatedAt = now;
+    this.saveConversations();
+
+    return added;
+  }
+
+  // Stored messages in the { role, content } shape the LLM service takes
+  async getHistory(id) {
+    const conversation = await this.getConversation(id);
+
+    if (!conversation) {
+      return null;
+    }
+
+    return conversation.messages.map(message => ({
+      role: message.role,
+      content: message.content
+    }));
+  }
+
+  // Thumbs up/down on an assistant message; a new rating replaces the old one
+  async setFeedback(id, messageId, { rating, comment, reason }) {
+    const conversation = await this.getConversation(id);
+    const message = conversation && conversation.messages.find(item => item.id === messageId);
+
+    if (!message || message.role !== 'assistant') {
+      return null;
+    }
+
+    message.feedback = {
+      rating,
+      comment: comment || null,
+      reason: reason || null,
+      createdAt: new Date().toISOString()
+    };
+    this.saveConversations();
+
+    return message.feedback;
+  }
+
+  // Rated answers of a bot with the question that prompted each one
+  async getFeedback(botId) {
+    const rated = [];
+
+    this.conversations
+      .filter(conversation => conversation.botId === botId)
+      .forEach(conversation => {
+        conversation.messages.forEach((message, index) => {
+          if (!message.feedback) return;
+
+          const question = conversation.messages.slice(0, index).reverse().find(item => item.role === 'user');
+          rated.push({
+            conversationId: conversation.id,
+            messageId: message.id,
+            question: question ? question.content : null,
+            answer: message.content,
+            model: message.model,
+            sources: message.sources,
+            ...message.feedback
+          });
+        });
+      });
+
+    return rated;
+  }
+
+  // Satisfaction rate, down votes by reason and the most recent poorly rated answers
+  async getFeedbackSummary(botId, { limit = 20 } = {}) {
+    const rated = await this.getFeedback(botId);
+    const up = rated.filter(item => item.rating === 'up').length;
+    const down = rated.filter(item => item.rating === 'down');
+
+    const byReason = {};
+    down.forEach(item => {
+      const reason = item.reason || 'unspecified';
+      byReason[reason] = (byReason[reason] || 0) + 1;
+    });
+
+    return {
+      total: rated.length,
+      up,
+      down: down.length,
+      satisfactionRate: rated.length > 0 ? Math.round((up / rated.length) * 1000) / 1000 : null,
+      byReason,
+      poorlyRated: down
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit)
+    };
+  }
+
+  async deleteConversation(id) {
+    const index = this.conversations.findIndex(conversation => conversation.id === id);
+
+    if (index === -1) {
+      return false;
+    }
+
+    this.conversations.splice(index, 1);
+    this.saveConversations();
+
+    return true;
+  }
+}
+
+module.exports = new ConversationService();
@@ -0,0 +1,353 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Luhn checksum, so order numbers and the like aren't taken for cards
+function isCardNumber(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Detectors run in this order; earlier matches are masked before later
+// patterns see the text. `group` masks only part of the match.
+const PII_DETECTORS = [
+  { type: 'email', pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  { type: 'card', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, check: isCardNumber },
+  { type: 'iban', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g },
+  // Passport numbers always contain a digit, so "passport expire" is left alone;
+  // "passport number is X1234567" and "my passport is AB1234567" are caught
+  { type: 'passport', pattern: /\b(passport(?:\s*(?:no\.?|number|#))?(?:\s+(?:is|=))?\s*:?\s*)((?=[A-Z0-9]*\d)[A-Z0-9]{6,9})\b/gi, group: 2 },
+  { type: 'ssn', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  {
+    type: 'phone',
+    // Groups of 1-4 digits, e.g. +33 6 12 34 56 78, (020) 7946 0958, 555-123-4567
+    pattern: /(?<![\w+])(?:\+\d{1,3}|\(?\d{1,4}\)?)(?:[\s.-]?\(?\d{1,4}\)?){2,7}\b/g,
+    check: (value) => {
+      const digits = value.replace(/\D/g, '').length;
+      return digits >= 9 && digits <= 15 && !/^\d{4}-\d{2}-\d{2}$/.test(value.trim());
+    }
+  }
+];
+
+const PLACEHOLDER = /\[(EMAIL|CARD|IBAN|PASSPORT|SSN|PHONE)_(\d+)\]/g;
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  piiTypes: PII_DETECTORS.map(detector => detector.type),
+  // Placeholders of these types are put back in replies; others stay masked
+  restoreTypes: ['email', 'phone'],
+  rules: [
+    { id: 'self_harm', pattern: '\\b(kill myself|end my life|suicidal)\\b', action: 'flag', direction: 'input' },
+    { id: 'violent_threat', pattern: '\\b(bomb|shoot|attack)\\s+(the|a|an|everyone|people)\\b', action: 'block', direction: 'both' }
+  ],
+  blockedMessage: "Sorry, I can't help with that request."
+};
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function guardrailError(message, rule) {
+  const error = new Error(message);
+  error.status = 422;
+  error.code = 'content_blocked';
+  error.rule = rule;
+  return error;
+}
+
+// Pre- and post-processing around LLM calls: PII in outgoing messages is
+// replaced by placeholders such as [EMAIL_1] and restored in the reply
+// where that's safe, and local moderation rules block or flag content.
+// Platform settings come from config/guardrails.json (LLM_GUARDRAILS_FILE);
+// bots add `guardrails: { enabled, piiTypes, restoreTypes, blockedTerms, flaggedTerms }`.
+// Events (never the redacted values) go to data/guardrail_events.json, or
+// DATA_DIR when set.
+class GuardrailService {
+  constructor() {
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.eventsFile = path.join(this.dataDir, 'guardrail_events.json');
+    this.settingsFile = process.env.LLM_GUARDRAILS_FILE || path.join(__dirname, '../config/guardrails.json');
+    this.maxEvents = parseInt(process.env.GUARDRAIL_EVENTS_MAX) || 10000;
+    this.ensureDataDirectory();
+    this.events = this.loadEvents();
+    this.settings = this.loadSettings();
+  }
+
+  ensureDataDirectory() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  loadEvents() {
+    try {
+      if (fs.existsSync(this.eventsFile)) {
+        const data = fs.readFileSync(this.eventsFile, 'utf8');
+        return JSON.parse(data);
+      }
+    } catch (error) {
+      console.error('Error loading guardrail events:', error);
+    }
+    return [];
+  }
+
+  saveEvents() {
+    try {
+      fs.writeFileSync(this.eventsFile, JSON.stringify(this.events, null, 2));
+    } catch (error) {
+      console.error('Error saving guardrail events:', error);
+    }
+  }
+
+  loadSettings() {
+    const settings = { ...DEFAULT_SETTINGS };
+
+    try {
+      if (fs.existsSync(this.settingsFile)) {
+        Object.assign(settings, JSON.parse(fs.readFileSync(this.settingsFile, 'utf8')));
+      }
+    } catch (error) {
+      console.error('Error loading guardrail settings:', error);
+    }
+
+    if (process.env.LLM_GUARDRAILS_ENABLED !== undefined) {
+      settings.enabled = process.env.LLM_GUARDRAILS_ENABLED === 'true';
+    }
+    return settings;
+  }
+
+  // Platform settings with the bot's additions
+  resolveSettings(botSettings = {}) {
+    const termRules = (terms, action) => (terms || []).map(term => ({
+      id: `bot_${action}_term`,
+      pattern: `\\b${escapeRegExp(term)}\\b`,
+      action,
+      direction: 'both'
+    }));
+
+    return {
+      ...this.settings,
+      enabled: botSettings.enabled !== undefined ? botSettings.enabled : this.settings.enabled,
+      piiTypes: botSettings.piiTypes || this.settings.piiTypes,
+      restoreTypes: botSettings.restoreTypes || this.settings.restoreTypes,
+      rules: [
+        ...this.settings.rules,
+        ...termRules(botSettings.blockedTerms, 'block'),
+        ...termRules(botSettings.flaggedTerms, 'flag')
+      ]
+    };
+  }
+
+  // A guard for one LLM call; placeholders are numbered per call so the
+  // same value always gets the same placeholder
+  createGuard({ botId, settings } = {}) {
+    const resolved = this.resolveSettings(settings);
+    const values = new Map();
+    const counters = {};
+
+    const mask = (text) => {
+      const found = {};
+      let masked = text;
+
+      PII_DETECTORS
+        .filter(detector => resolved.piiTypes.includes(detector.type))
+        .forEach(detector => {
+          masked = masked.replace(detector.pattern, (match, ...groups) => {
+            const value = detector.group ? groups[detector.group - 1] : match;
+            if (detector.check && !detector.check(value)) {
+              return match;
+            }
+
+            let placeholder = [...values.entries()].find(([, entry]) => entry.value === value)?.[0];
+            if (!placeholder) {
+              counters[detector.type] = (counters[detector.type] || 0) + 1;
+              placeholder = `[${detector.type.toUpperCase()}_${counters[detector.type]}]`;
+              values.set(placeholder, { type: detector.type, value });
+            }
+            found[detector.type] = (found[detector.type] || 0) + 1;
+
+            return detector.group ? match.replace(value, placeholder) : placeholder;
+          });
+        });
+
+      return { masked, found };
+    };
+
+    const restore = (text) => text.replace(PLACEHOLDER, (placeholder) => {
+      const entry = values.get(placeholder);
+      if (!entry) return placeholder;
+      if (resolved.restoreTypes.includes(entry.type)) return entry.value;
+      return this.maskedDisplay(entry);
+    });
+
+    const moderate = (text, direction) => {
+      const rule = resolved.rules.find(candidate =>
+        (candidate.direction || 'both') !== (direction === 'input' ? 'output' : 'input') &&
+        new RegExp(candidate.pattern, 'i').test(text)
+      );
+      if (rule) {
+        this.logEvent({ botId, kind: 'moderation', direction, ruleId: rule.id, action: rule.action });
+      }
+      return rule || null;
+    };
+
+    return {
+      enabled: resolved.enabled,
+
+      // Masks PII in every non-system message and applies input rules;
+      // throws a 422 error when a blocking rule matches
+      protectInput: (messages) => {
+        if (!resolved.enabled) return messages;
+
+        const totals = {};
+        const protectedMessages = messages.map(message => {
+          if (message.role === 'system' || typeof message.content !== 'string') {
+            return message;
+          }
+
+          if (message.role === 'user') {
+            const rule = moderate(message.content, 'input');
+            if (rule && rule.action === 'block') {
+              throw guardrailError(resolved.blockedMessage, rule.id);
+            }
+          }
+
+          const { masked, found } = mask(message.content);
+          Object.entries(found).forEach(([type, count]) => {
+            totals[type] = (totals[type] || 0) + count;
+          });
+          return masked === message.content ? message : { ...message, content: masked };
+        });
+
+        if (Object.keys(totals).length > 0) {
+          this.logEvent({ botId, kind: 'redaction', direction: 'input', types: totals });
+        }
+        return protectedMessages;
+      },
+
+      // Restores placeholders and applies output rules to a complete reply
+      processOutput: (content) => {
+        if (!resolved.enabled || typeof content !== 'string') return content;
+
+        const restored = restore(content);
+        const rule = moderate(restored, 'output');
+        return rule && rule.action === 'block' ? resolved.blockedMessage : restored;
+      },
+
+      restoreArguments: (args) => {
+        if (!resolved.enabled || values.size === 0) return args;
+        return JSON.parse(restore(JSON.stringify(args)));
+      },
+
+      // Restores placeholders in streamed text; a chunk ending inside a
+      // possible placeholder is held back until the next one
+      createStreamRestorer: () => {
+        let pending = '';
+        return {
+          push: (text) => {
+            if (!resolved.enabled) return text;
+            pending += text;
+            const open = pending.lastIndexOf('[');
+            const hold = open !== -1 && pending.indexOf(']', open) === -1 && pending.length - open <= 16;
+            const ready = hold ? pending.slice(0, open) : pending;
+            pending = hold ? pending.slice(open) : '';
+            return restore(ready);
+          },
+          flush: () => {
+            const rest = restore(pending);
+            pending = '';
+            return rest;
+          }
+        };
+      },
+
+      // Streamed replies are already sent, so output rules can only flag them
+      reviewOutput: (content) => {
+        if (resolved.enabled && typeof content === 'string') {
+          moderate(content, 'output');
+        }
+      }
+    };
+  }
+
+  // PII types found in a piece of text, for values that shouldn't be kept
+  // at all rather than masked per call
+  detectPII(text) {
+    const value = String(text == null ? '' : text);
+    return PII_DETECTORS
+      .filter(detector => [...value.matchAll(detector.pattern)].some(match => {
+        const found = detector.group ? match[detector.group] : match[0];
+        return !detector.check || detector.check(found);
+      }))
+      .map(detector => detector.type);
+  }
+
+  maskedDisplay({ type, value }) {
+    if (type === 'card') {
+      return `•••• ${value.replace(/\D/g, '').slice(-4)}`;
+    }
+    return `[${type} redacted]`;
+  }
+
+  logEvent({ botId, kind, direction, types, ruleId, action }) {
+    this.events.push({
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      botId: botId || null,
+      kind,
+      direction,
+      ...(types && { types }),
+      ...(ruleId && { ruleId, action })
+    });
+
+    if (this.events.length > this.maxEvents) {
+      this.events = this.events.slice(-this.maxEvents);
+    }
+    this.saveEvents();
+  }
+
+  getEvents({ botId, kind, from, to, limit = 100 } = {}) {
+    const start = from ? new Date(from).getTime() : -Infinity;
+    const end = to ? new Date(to).getTime() : Infinity;
+
+    return this.events
+      .filter(event => {
+        const time = new Date(event.timestamp).getTime();
+        return (!botId || event.botId === botId) && (!kind || event.kind === kind) && time >= start && time <= end;
+      })
+      .slice(-limit)
+      .reverse();
+  }
+
+  // Redacted values by type and rule matches by action, per bot
+  getSummary({ botId, from, to } = {}) {
+    const events = this.getEvents({ botId, from, to, limit: this.maxEvents });
+    const summary = { redactions: {}, moderation: {} };
+
+    events.forEach(event => {
+      if (event.kind === 'redaction') {
+        Object.entries(event.types).forEach(([type, count]) => {
+          summary.redactions[type] = (summary.redactions[type] || 0) + count;
+        });
+      } else {
+        const key = `${event.ruleId}:${event.action}`;
+        summary.moderation[key] = (summary.moderation[key] || 0) + 1;
+      }
+    });
+
+    return summary;
+  }
+}
+
+module.exports = new GuardrailService();
@@ -0,0 +1,171 @@
+const { EventEmitter } = require('events');
+const ConversationService = require('./conversationService');
+
+// Explicit requests only; "human" or "operator" alone turn up in ordinary
+// questions such as "which tour operator runs this?"
+const HUMAN_REQUEST = /\b((talk|speak|chat|connect me|put me through) (to|with) (a |an |the )?(human|person|someone|somebody|agent|live agent|operator|representative|staff|real person|member of (your |the )?(staff|team))|real (person|human)|live (agent|person|chat)|human (agent|support|being))\b/i;
+const LOW_CONFIDENCE = /\b(i('m| am) not sure|i don'?t know|i don'?t have (specific|enough|any) information|i('m| am) unable to (help|answer|find)|i can'?t (help|answer|find))\b/i;
+
+const DEFAULT_HANDOFF_MESSAGE = "I'm connecting you with a member of our team. They'll reply here shortly.";
+
+function handoffError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Escalates conversations from a bot to human operators. A conversation's
+// `handoff` moves pending -> claimed -> closed; while pending or claimed the
+// bot stays quiet and operators answer instead. Bots opt in with
+// `handoff: { enabled, keywords, onLowConfidence, message }`.
+//
+// Emits 'requested', 'claimed', 'message' and 'closed' with the
+// conversation id so transports can notify connected widgets.
+class HandoffService extends EventEmitter {
+  // Why a user message should go to a person, or null
+  detectTrigger(bot, message) {
+    const settings = bot.handoff || {};
+    if (!settings.enabled) {
+      return null;
+    }
+
+    if (HUMAN_REQUEST.test(message)) {
+      return { trigger: 'user_request', reason: 'User asked for a human' };
+    }
+
+    const text = message.toLowerCase();
+    const keyword = (settings.keywords || []).find(word => text.includes(word.toLowerCase()));
+    if (keyword) {
+      return { trigger: 'keyword', reason: `Matched keyword "${keyword}"` };
+    }
+
+    return null;
+  }
+
+  // Answers where the bot admits it can't help
+  isLowConfidence(bot, answer) {
+    const settings = bot.handoff || {};
+    return !!settings.enabled && !!settings.onLowConfidence && typeof answer === 'string' && LOW_CONFIDENCE.test(answer);
+  }
+
+  getHandoffMessage(bot) {
+    return (bot.handoff && bot.handoff.message) || DEFAULT_HANDOFF_MESSAGE;
+  }
+
+  isActive(conversation) {
+    return !!conversation && !!conversation.handoff && ['pending', 'claimed'].includes(conversation.handoff.status);
+  }
+
+  async escalate(conversationId, { trigger, reason }) {
+    const conversation = await ConversationService.getConversation(conversationId);
+
+    if (!conversation) {
+      throw handoffError(404, 'Conversation not found');
+    }
+
+    if (this.isActive(conversation)) {
+      return conversation.handoff;
+    }
+
+    const handoff = {
+      status: 'pending',
+      trigger,
+      reason,
+      requestedAt: new Date().toISOString(),
+      claimedBy: null,
+      claimedAt: null,
+      closedAt: null
+    };
+
+    await ConversationService.updateConversation(conversationId, { handoff });
+    this.emit('requested', conversationId, handoff);
+
+    return handoff;
+  }
+
+  // Conversations waiting for (or owned by) an operator, oldest first
+  async listQueue({ status = 'pending', botId } = {}) {
+    const conversations = await ConversationService.findConversations({ botId });
+
+    return conversations
+      .filter(conversation => conversation.handoff && conversation.handoff.status === status)
+      .map(conversation => ({
+        conversationId: conversation.id,
+        botId: conversation.botId,
+        title: conversation.title,
+        handoff: conversation.handoff,
+        lastMessage: conversation.messages[conversation.messages.length - 1] || null,
+        messageCount: conversation.messages.length
+      }))
+      .sort((a, b) => a.handoff.requestedAt.localeCompare(b.handoff.requestedAt));
+  }
+
+  async getActiveConversation(conversationId) {
+    const conversation = await ConversationService.getConversation(conversationId);
+
+    if (!conversation) {
+      throw handoffError(404, 'Conversation not found');
+    }
+
+    if (!this.isActive(conversation)) {
+      throw handoffError(409, 'Conversation is not waiting for a human');
+    }
+
+    return conversation;
+  }
+
+  async claim(conversationId, operator) {
+    const conversation = await this.getActiveConversation(conversationId);
+
+    if (conversation.handoff.status === 'claimed' && conversation.handoff.claimedBy !== operator) {
+      throw handoffError(409, `Conversation already claimed by ${conversation.handoff.claimedBy}`);
+    }
+
+    const handoff = {
+      ...conversation.handoff,
+      status: 'claimed',
+      claimedBy: operator,
+      claimedAt: new Date().toISOString()
+    };
+
+    await ConversationService.updateConversation(conversationId, { handoff });
+    this.emit('claimed', conversationId, handoff);
+
+    return handoff;
+  }
+
+  async reply(conversationId, operator, content) {
+    const conversation = await this.getActiveConversation(conversationId);
+
+    if (conversation.handoff.claimedBy !== operator) {
+      throw handoffError(409, 'Claim the conversation before replying');
+    }
+
+    const [message] = await ConversationService.addMessages(conversationId, [
+      { role: 'assistant', content, operator }
+    ]);
+    this.emit('message', conversationId, message);
+
+    return message;
+  }
+
+  // Hands the conversation back to the bot
+  async close(conversationId, operator, { note } = {}) {
+    const conversation = await this.getActiveConversation(conversationId);
+
+    const handoff = {
+      ...conversation.handoff,
+      status: 'closed',
+      closedBy: operator || conversation.handoff.claimedBy,
+      closedAt: new Date().toISOString(),
+      note: note || null
+    };
+
+    await ConversationService.updateConversation(conversationId, { handoff });
+    this.emit('closed', conversationId, handoff);
+
+    return handoff;
+  }
+}
+
+module.exports = new HandoffService();
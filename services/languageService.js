@@ -0,0 +1,150 @@
+// Languages told apart by their writing system
+const SCRIPTS = [
+  { language: 'ja', pattern: /[\u3040-\u30FF]/g },
+  { language: 'ko', pattern: /[\uAC00-\uD7AF]/g },
+  { language: 'zh', pattern: /[\u4E00-\u9FFF]/g },
+  { language: 'ru', pattern: /[\u0400-\u04FF]/g },
+  { language: 'ar', pattern: /[\u0600-\u06FF]/g },
+  { language: 'he', pattern: /[\u0590-\u05FF]/g },
+  { language: 'el', pattern: /[\u0370-\u03FF]/g },
+  { language: 'th', pattern: /[\u0E00-\u0E7F]/g },
+  { language: 'hi', pattern: /[\u0900-\u097F]/g }
+];
+
+// Latin-script languages are scored on common words and telltale letters
+const WORDS = {
+  en: ['the', 'and', 'is', 'are', 'what', 'how', 'can', 'you', 'i', 'to', 'for', 'with', 'do', 'does', 'my', 'in', 'of', 'hello', 'hi', 'thanks', 'please', 'yes', 'want', 'which', 'best', 'when', 'where'],
+  fr: ['le', 'la', 'les', 'et', 'est', 'un', 'une', 'des', 'je', 'vous', 'pour', 'avec', 'quel', 'quelle', 'quels', 'comment', 'dans', 'du', 'bonjour', 'merci', 'oui', 'voudrais', 'pas', 'au', 'aux', 'sont', 'meilleur'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'ein', 'eine', 'ich', 'sie', 'für', 'mit', 'wie', 'was', 'welche', 'nicht', 'zu', 'den', 'hallo', 'danke', 'bitte', 'ja', 'möchte', 'gibt', 'es', 'beste'],
+  es: ['el', 'la', 'los', 'las', 'y', 'es', 'un', 'una', 'yo', 'usted', 'para', 'con', 'qué', 'que', 'cómo', 'cuál', 'en', 'del', 'hola', 'gracias', 'sí', 'quiero', 'por', 'mejor', 'hay'],
+  it: ['il', 'lo', 'la', 'gli', 'le', 'e', 'è', 'un', 'una', 'io', 'per', 'con', 'che', 'come', 'quale', 'del', 'della', 'ciao', 'grazie', 'sì', 'vorrei', 'non', 'sono', 'migliore'],
+  pt: ['o', 'a', 'os', 'as', 'e', 'é', 'um', 'uma', 'eu', 'você', 'para', 'com', 'que', 'como', 'qual', 'do', 'da', 'olá', 'obrigado', 'obrigada', 'sim', 'quero', 'não', 'melhor', 'há'],
+  nl: ['de', 'het', 'een', 'en', 'is', 'ik', 'je', 'u', 'voor', 'met', 'wat', 'hoe', 'welke', 'niet', 'van', 'hallo', 'dank', 'bedankt', 'graag', 'ja', 'wil', 'zijn', 'beste']
+};
+
+const LETTERS = {
+  fr: /[çœàèùâêîôû]/g,
+  de: /[äöüß]/g,
+  es: /[ñ¿¡]/g,
+  pt: /[ãõ]/g
+};
+
+const LANGUAGE_NAMES = {
+  en: 'English', fr: 'French', de: 'German', es: 'Spanish', it: 'Italian', pt: 'Portuguese', nl: 'Dutch',
+  ja: 'Japanese', ko: 'Korean', zh: 'Chinese', ru: 'Russian', ar: 'Arabic', he: 'Hebrew', el: 'Greek', th: 'Thai', hi: 'Hindi'
+};
+
+// Works out which language a user writes in and which of a bot's locales
+// (Contentstack locale codes such as 'fr-fr') to answer and retrieve in.
+// Bots opt in with `locales`; the first one is the default.
+class LanguageService {
+  // ISO 639-1 code of the text's language, or null when it's too short or
+  // too ambiguous to tell
+  detectLanguage(text) {
+    const value = String(text || '').toLowerCase();
+
+    const script = SCRIPTS
+      .map(({ language, pattern }) => ({ language, count: (value.match(pattern) || []).length }))
+      .sort((a, b) => b.count - a.count)[0];
+    // Kana means Japanese even when most characters are kanji
+    if (script.count > 0) {
+      return /[\u3040-\u30FF]/.test(value) ? 'ja' : script.language;
+    }
+
+    const tokens = value.match(/[\p{L}']+/gu) || [];
+    const scores = Object.entries(WORDS).map(([language, words]) => ({
+      language,
+      score: tokens.filter(token => words.includes(token)).length +
+        (LETTERS[language] ? (value.match(LETTERS[language]) || []).length : 0)
+    })).sort((a, b) => b.score - a.score);
+
+    const [best, second] = scores;
+    if (best.score === 0 || best.score === second.score) {
+      return null;
+    }
+    return best.language;
+  }
+
+  getLanguageName(language) {
+    return LANGUAGE_NAMES[language] || language;
+  }
+
+  // The bot locale for a language or locale code ('fr', 'fr-CA', 'fr-fr'), if any
+  matchLocale(bot, requested) {
+    const locales = bot.locales || [];
+    if (!requested || locales.length === 0) {
+      return null;
+    }
+
+    const wanted = requested.toLowerCase();
+    return locales.find(locale => locale.toLowerCase() === wanted) ||
+      locales.find(locale => locale.toLowerCase().split('-')[0] === wanted.split('-')[0]) ||
+      null;
+  }
+
+  // First locale in an Accept-Language header the bot supports
+  matchAcceptLanguage(bot, header) {
+    const ranges = String(header || '')
+      .split(',')
+      .map(part => {
+        const [range, quality] = part.trim().split(';q=');
+        return { range, quality: quality ? parseFloat(quality) : 1 };
+      })
+      .filter(({ range }) => range && range !== '*')
+      .sort((a, b) => b.quality - a.quality);
+
+    for (const { range } of ranges) {
+      const locale = this.matchLocale(bot, range);
+      if (locale) return locale;
+    }
+    return null;
+  }
+
+  // Language and locale for a message. Short replies such as "ok" keep the
+  // language of the user's earlier messages. Returns
+  // { language, locale } where locale is null for bots without locales.
+  resolveLocale(bot, message, history = []) {
+    let language = this.detectLanguage(message);
+
+    if (!language) {
+      const earlier = history.filter(item => item.role === 'user').slice(-3).map(item => item.content).join('\n');
+      language = this.detectLanguage(earlier);
+    }
+
+    const locales = bot.locales || [];
+    return {
+      language,
+      locale: locales.length > 0 ? this.matchLocale(bot, language) || locales[0] : null
+    };
+  }
+
+  // The value for a locale or language from a { locale: value } map
+  pickLocalized(values, locale) {
+    if (!values || !locale) {
+      return undefined;
+    }
+
+    const wanted = locale.toLowerCase();
+    const keys = Object.keys(values);
+    const key = keys.find(candidate => candidate.toLowerCase() === wanted) ||
+      keys.find(candidate => candidate.toLowerCase().split('-')[0] === wanted.split('-')[0]);
+    return key ? values[key] : undefined;
+  }
+
+  // The start message for a locale or language, else the bot's default one
+  getStartMessage(bot, locale) {
+    return this.pickLocalized(bot.startMessages, locale) || bot.startMessage;
+  }
+
+  // Quick replies are a plain list, or lists per locale falling back to the
+  // default locale's
+  getQuickReplies(bot, locale) {
+    const replies = bot.quickReplies || [];
+    if (Array.isArray(replies)) {
+      return replies;
+    }
+    return this.pickLocalized(replies, locale) || this.pickLocalized(replies, (bot.locales || [])[0]) || [];
+  }
+}
+
+module.exports = new LanguageService();
@@ -1,232 +1,1072 @@
-const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
 const { EventEmitter } = require('events');
+const Ajv = require('ajv');
+const { createAdapter, Recorder } = require('./providers');
+const CircuitBreaker = require('./circuitBreaker');
+const ResponseCache = require('./responseCache');
+const UsageService = require('./usageService');
+const GuardrailService = require('./guardrailService');
+const { getModelMetadata } = require('./modelMetadata');
+
+const GENERATION_PARAMS = ['maxTokens', 'temperature', 'topP', 'presencePenalty', 'frequencyPenalty', 'stop', 'seed'];
 
 class LLMService {
   constructor() {
     this.providers = {
       openrouter: {
+        type: 'openai',
+        name: 'OpenRouter',
         baseURL: 'https://openrouter.ai/api/v1',
         apiKey: process.env.OPENROUTER_API_KEY,
-        defaultModel: 'meta-llama/llama-3.1-8b-instruct:free'
+        defaultModel: 'meta-llama/llama-3.1-8b-instruct:free',
+        models: [
+          'meta-llama/llama-3.1-8b-instruct:free',
+          'microsoft/wizardlm-2-8x22b',
+          'anthropic/claude-3-haiku',
+          'openai/gpt-3.5-turbo',
+          'openai/gpt-4'
+        ],
+        extraHeaders: {
+          'HTTP-Referer': 'http://localhost:7000',
+          'X-Title': 'Chat Agent Platform'
+        }
       },
       openai: {
+        type: 'openai',
+        name: 'OpenAI',
         baseURL: 'https://api.openai.com/v1',
         apiKey: process.env.OPENAI_API_KEY,
-        defaultModel: 'gpt-3.5-turbo'
+        defaultModel: 'gpt-3.5-turbo',
+        models: ['gpt-3.5-turbo', 'gpt-4', 'gpt-4-turbo'],
+        // The listing also returns embedding, image and audio models
+        modelFilter: '^(gpt-|o\\d|chatgpt-)'
       },
       anthropic: {
+        type: 'anthropic',
+        name: 'Anthropic',
         baseURL: 'https://api.anthropic.com/v1',
         apiKey: process.env.ANTHROPIC_API_KEY,
-        defaultModel: 'claude-3-haiku-20240307'
+        defaultModel: 'claude-3-haiku-20240307',
+        models: ['claude-3-sonnet-20240229', 'claude-3-haiku-20240307']
       },
       groq: {
+        type: 'openai',
+        name: 'Groq',
         baseURL: 'https://api.groq.com/openai/v1',
         apiKey: process.env.GROQ_API_KEY,
-        defaultModel: 'llama3-8b-8192'
+        defaultModel: 'llama3-8b-8192',
+        models: ['llama3-8b-8192', 'llama3-70b-8192', 'mixtral-8x7b-32768']
+      }
+    };
+
+    this.retryOptions = {
+      maxRetries: process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : 2,
+      baseDelayMs: parseInt(process.env.LLM_RETRY_BASE_DELAY_MS) || 500,
+      maxDelayMs: parseInt(process.env.LLM_RETRY_MAX_DELAY_MS) || 10000
+    };
+    this.circuitOptions = {
+      failureThreshold: parseInt(process.env.LLM_CIRCUIT_FAILURE_THRESHOLD) || 5,
+      cooldownMs: parseInt(process.env.LLM_CIRCUIT_COOLDOWN_MS) || 30000
+    };
+    this.circuitBreakers = {};
+
+    // Live model lists per provider, refreshed after the TTL
+    this.catalog = {};
+    this.catalogRequests = {};
+    this.catalogTtlMs = (parseInt(process.env.LLM_CATALOG_TTL_SECONDS) || 3600) * 1000;
+
+    this.requestTimeoutMs = parseInt(process.env.LLM_REQUEST_TIMEOUT_MS) || 60000;
+    this.streamTimeouts = {
+      firstTokenMs: parseInt(process.env.LLM_FIRST_TOKEN_TIMEOUT_MS) || 30000,
+      totalMs: parseInt(process.env.LLM_STREAM_TIMEOUT_MS) || 120000
+    };
+
+    // Opt-in: enabled per bot, or for everything with LLM_CACHE_ENABLED=true
+    this.cacheEnabled = process.env.LLM_CACHE_ENABLED === 'true';
+    this.responseCache = new ResponseCache({
+      maxEntries: parseInt(process.env.LLM_CACHE_MAX_ENTRIES) || 1000,
+      defaultTtlSeconds: parseInt(process.env.LLM_CACHE_TTL_SECONDS) || 3600
+    });
+
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+
+    this.defaultGenerationParams = {
+      maxTokens: 1000,
+      temperature: 0.7
+    };
+
+    this.adapters = {};
+    Object.keys(this.providers).forEach(id => {
+      this.adapters[id] = createAdapter({ id, ...this.providers[id] });
+    });
+
+    // Offline provider for development and CI
+    if (process.env.LLM_MOCK_ENABLED === 'true' || process.env.NODE_ENV === 'test') {
+      this.providers.mock = {
+        type: 'mock',
+        name: 'Mock (offline)',
+        baseURL: 'mock://local',
+        defaultModel: 'mock-echo',
+        models: ['mock-echo']
+      };
+      this.adapters.mock = createAdapter({ id: 'mock', ...this.providers.mock });
+    }
+
+    // LLM_RECORD_MODE=record saves real provider exchanges as fixtures,
+    // LLM_RECORD_MODE=replay plays them back without network access
+    this.recorder = process.env.LLM_RECORD_MODE ? new Recorder({
+      mode: process.env.LLM_RECORD_MODE,
+      fixturesDir: process.env.LLM_FIXTURES_DIR || path.join(__dirname, '../fixtures/llm')
+    }) : null;
+
+    this.loadCustomProviders().forEach(config => {
+      try {
+        this.registerProvider(config);
+      } catch (error) {
+        console.error(`Error registering provider ${config.id}:`, error.message);
+      }
+    });
+  }
+
+  // Extra OpenAI-compatible providers (Ollama, llama.cpp, vLLM, ...) come from
+  // a JSON file (LLM_PROVIDERS_FILE, default config/providers.json) and/or
+  // the LLM_PROVIDERS environment variable holding the same JSON array.
+  loadCustomProviders() {
+    const configs = [];
+    const providersFile = process.env.LLM_PROVIDERS_FILE || path.join(__dirname, '../config/providers.json');
+
+    try {
+      if (fs.existsSync(providersFile)) {
+        const data = JSON.parse(fs.readFileSync(providersFile, 'utf8'));
+        configs.push(...(Array.isArray(data) ? data : data.providers || []));
+      }
+    } catch (error) {
+      console.error('Error loading custom providers file:', error);
+    }
+
+    if (process.env.LLM_PROVIDERS) {
+      try {
+        const data = JSON.parse(process.env.LLM_PROVIDERS);
+        configs.push(...(Array.isArray(data) ? data : [data]));
+      } catch (error) {
+        console.error('Error parsing LLM_PROVIDERS:', error.message);
+      }
+    }
+
+    return configs;
+  }
+
+  registerProvider(config) {
+    if (!config || !config.id || !/^[a-z0-9_-]+$/i.test(config.id)) {
+      throw new Error('Provider id is required and may only contain letters, numbers, "-" and "_"');
+    }
+
+    if (!config.baseURL) {
+      throw new Error(`Provider ${config.id} is missing baseURL`);
+    }
+
+    const providerConfig = {
+      type: 'openai',
+      name: config.id,
+      authStyle: config.apiKey || config.apiKeyEnv ? 'bearer' : 'none',
+      ...config,
+      baseURL: config.baseURL.replace(/\/+$/, ''),
+      // Keys can be referenced by environment variable name to keep them out of the file
+      apiKey: config.apiKey || (config.apiKeyEnv ? process.env[config.apiKeyEnv] : undefined),
+      custom: true
+    };
+    delete providerConfig.apiKeyEnv;
+
+    this.providers[config.id] = providerConfig;
+    this.adapters[config.id] = createAdapter(providerConfig);
+
+    return this.adapters[config.id];
+  }
+
+  hasProvider(provider) {
+    return !!this.adapters[provider];
+  }
+
+  getDefaultModel(provider) {
+    const adapter = this.adapters[provider];
+    return adapter ? adapter.defaultModel : null;
+  }
+
+  listProviders() {
+    return Object.values(this.adapters).map(adapter => ({
+      id: adapter.id,
+      name: adapter.name,
+      models: adapter.models,
+      defaultModel: adapter.defaultModel,
+      custom: adapter.custom,
+      available: this.isAdapterUsable(adapter)
+    }));
+  }
+
+  // Local metadata first, then whatever the provider's model listing reported
+  getModelMetadata(adapter, model) {
+    return adapter.modelMetadata[model] || getModelMetadata(model) || this.getDiscoveredMetadata(adapter.id, model);
+  }
+
+  getDiscoveredMetadata(provider, model) {
+    const cached = this.catalog[provider];
+    return (cached && cached.models.find(item => item.id === model)) || null;
+  }
+
+  // Lists a provider's models from its API, cached for the catalog TTL. When
+  // the listing can't be fetched (no key, offline, replay mode) the static
+  // model list from the provider config is used instead.
+  async getProviderModels(provider, { refresh = false } = {}) {
+    const adapter = this.adapters[provider];
+    if (!adapter) {
+      return null;
+    }
+
+    const cached = this.catalog[provider];
+    if (!refresh && cached && Date.now() - cached.fetchedAt < this.catalogTtlMs) {
+      return cached;
+    }
+
+    if (!this.catalogRequests[provider]) {
+      this.catalogRequests[provider] = this.fetchProviderModels(adapter)
+        .finally(() => {
+          delete this.catalogRequests[provider];
+        });
+    }
+
+    return this.catalogRequests[provider];
+  }
+
+  async fetchProviderModels(adapter) {
+    let models;
+    let source = 'live';
+    let error = null;
+
+    const replaying = !!this.recorder && this.recorder.mode === 'replay';
+    if (adapter.isConfigured() && !replaying) {
+      try {
+        models = await adapter.listModels();
+      } catch (listError) {
+        error = adapter.getErrorMessage(listError);
+        console.error(`Model listing error (${adapter.id}):`, error);
+      }
+    }
+
+    if (!models) {
+      source = 'static';
+      models = adapter.models.map(id => ({ id, name: id }));
+    }
+
+    const entry = {
+      provider: adapter.id,
+      source,
+      error,
+      fetchedAt: Date.now(),
+      models: models.map(model => this.describeModel(adapter, model))
+    };
+    this.catalog[adapter.id] = entry;
+
+    return entry;
+  }
+
+  // Discovered fields merged with local metadata; local values win.
+  // Capabilities neither source reports are null (unknown).
+  describeModel(adapter, discovered) {
+    const local = adapter.modelMetadata[discovered.id] || getModelMetadata(discovered.id) || {};
+    const jsonMode = local.jsonMode !== undefined ? local.jsonMode : adapter.jsonMode;
+
+    return {
+      id: discovered.id,
+      name: discovered.name || discovered.id,
+      contextWindow: local.contextWindow || discovered.contextWindow || null,
+      maxOutputTokens: local.maxOutputTokens || discovered.maxOutputTokens || null,
+      pricing: local.pricing || discovered.pricing || null,
+      jsonMode: jsonMode || null,
+      supports: {
+        streaming: null,
+        tools: null,
+        ...discovered.supports,
+        json: !!jsonMode || !!(discovered.supports && discovered.supports.json),
+        ...local.supports
       }
     };
   }
 
-  async generateResponse({ message, provider = 'openrouter', model, context = [], botId }) {
-    const providerConfig = this.providers[provider];
-    
-    if (!providerConfig || !providerConfig.apiKey) {
-      throw new Error(`Provider ${provider} is not configured or API key is missing`);
+  async getModelCatalog({ refresh = false } = {}) {
+    const providers = this.listProviders();
+    const catalogs = await Promise.all(providers.map(provider => this.getProviderModels(provider.id, { refresh })));
+
+    return providers.map((provider, index) => ({
+      ...provider,
+      models: catalogs[index].models,
+      modelSource: catalogs[index].source,
+      fetchedAt: new Date(catalogs[index].fetchedAt).toISOString()
+    }));
+  }
+
+  // Only a live listing can prove a model doesn't exist; with the static
+  // fallback any model is accepted
+  async isModelAvailable(provider, model) {
+    const catalog = await this.getProviderModels(provider);
+    if (!catalog) {
+      return false;
+    }
+    return catalog.source !== 'live' || catalog.models.some(item => item.id === model);
+  }
+
+  // Limits for a provider/model pair, used to budget the prompt
+  getModelLimits(provider, model, params = {}) {
+    const adapter = this.adapters[provider];
+    const selectedModel = model || adapter?.defaultModel;
+    const metadata = adapter ? this.getModelMetadata(adapter, selectedModel) : getModelMetadata(selectedModel);
+    const resolved = adapter ? this.resolveGenerationParams(adapter, selectedModel, params) : { ...this.defaultGenerationParams };
+
+    return {
+      model: selectedModel,
+      contextWindow: (metadata && metadata.contextWindow) || parseInt(process.env.LLM_DEFAULT_CONTEXT_WINDOW) || 8192,
+      maxOutputTokens: resolved.maxTokens || this.defaultGenerationParams.maxTokens
+    };
+  }
+
+  // Picks the generation parameters out of a request body or bot config
+  pickGenerationParams(source = {}) {
+    const params = {};
+    GENERATION_PARAMS.forEach(name => {
+      if (source[name] !== undefined) {
+        params[name] = source[name];
+      }
+    });
+    return params;
+  }
+
+  // Merges platform defaults with the caller's parameters (bot settings
+  // overlaid with request overrides), drops anything the provider doesn't
+  // support and clamps the rest to the provider's ranges and the model's
+  // output limit.
+  resolveGenerationParams(adapter, model, params = {}) {
+    const merged = { ...this.defaultGenerationParams };
+    GENERATION_PARAMS.forEach(name => {
+      if (params[name] !== undefined && params[name] !== null && params[name] !== '') {
+        merged[name] = params[name];
+      }
+    });
+
+    const resolved = {};
+    Object.keys(merged).forEach(name => {
+      const limit = adapter.paramLimits[name];
+      const value = merged[name];
+
+      if (!limit) {
+        return;
+      }
+
+      if (name === 'stop') {
+        const stops = (Array.isArray(value) ? value : [value])
+          .filter(stop => typeof stop === 'string' && stop.length > 0);
+        if (stops.length > 0) {
+          resolved.stop = stops.slice(0, limit.maxItems);
+        }
+        return;
+      }
+
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        return;
+      }
+
+      let clamped = number;
+      if (limit.min !== undefined) clamped = Math.max(limit.min, clamped);
+      if (limit.max !== undefined) clamped = Math.min(limit.max, clamped);
+      resolved[name] = name === 'maxTokens' || name === 'seed' ? Math.floor(clamped) : clamped;
+    });
+
+    const metadata = this.getModelMetadata(adapter, model);
+    if (metadata && metadata.maxOutputTokens && resolved.maxTokens) {
+      resolved.maxTokens = Math.min(resolved.maxTokens, metadata.maxOutputTokens);
+    }
+
+    return resolved;
+  }
+
+  getCircuitBreaker(provider) {
+    if (!this.circuitBreakers[provider]) {
+      this.circuitBreakers[provider] = new CircuitBreaker(this.circuitOptions);
+    }
+    return this.circuitBreakers[provider];
+  }
+
+  getCircuitStatus() {
+    const status = {};
+    Object.keys(this.adapters).forEach(provider => {
+      status[provider] = this.getCircuitBreaker(provider).getStatus();
+    });
+    return status;
+  }
+
+  // The requested provider/model first, then the fallbacks in declared order
+  buildProviderChain(provider, model, fallbacks = []) {
+    const chain = [{ provider, model }, ...fallbacks.filter(fallback => fallback && fallback.provider)];
+    const seen = new Set();
+
+    return chain.filter(({ provider: id, model: candidateModel }) => {
+      const key = `${id}:${candidateModel || ''}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Runs `operation(adapter, model)` against each provider in the chain until one
+  // succeeds. Retryable failures (network errors, 429, 5xx) are retried with
+  // jittered exponential backoff before moving on to the next provider.
+  async executeWithFailover(chain, operation, signal) {
+    const attempts = [];
+
+    for (const { provider, model } of chain) {
+      if (signal && signal.aborted) {
+        break;
+      }
+
+      const adapter = this.adapters[provider];
+
+      if (!this.isAdapterUsable(adapter)) {
+        attempts.push({ provider, model, error: 'Provider is not configured or API key is missing' });
+        continue;
+      }
+
+      const breaker = this.getCircuitBreaker(provider);
+      const selectedModel = model || adapter.defaultModel;
+
+      if (!breaker.canRequest()) {
+        attempts.push({ provider, model: selectedModel, error: 'Circuit open' });
+        continue;
+      }
+
+      for (let retry = 0; ; retry++) {
+        try {
+          const value = await operation(adapter, selectedModel);
+          breaker.recordSuccess();
+          return { value, adapter, provider, model: selectedModel, attempts };
+        } catch (error) {
+          if (this.isCancellation(error, signal)) {
+            // The caller went away; this says nothing about the provider
+            breaker.releaseTrial();
+            throw error;
+          }
+
+          const retryable = this.isRetryableError(error);
+          attempts.push({
+            provider,
+            model: selectedModel,
+            status: error.response?.status,
+            error: adapter.getErrorMessage(error)
+          });
+          console.error(`LLM API Error (${provider}):`, error.response?.data || error.message);
+
+          if (!retryable) {
+            // The provider answered, it just rejected this request
+            breaker.recordSuccess();
+            break;
+          }
+
+          breaker.recordFailure(error);
+
+          if (retry >= this.retryOptions.maxRetries || !breaker.canRequest()) {
+            break;
+          }
+
+          const delay = this.getRetryDelay(error, retry);
+          if (delay === null) {
+            // Retry-After asks for longer than we are willing to wait
+            break;
+          }
+          await new Promise(resolve => setTimeout(resolve, delay));
+
+          if (signal && signal.aborted) {
+            break;
+          }
+        }
+      }
+    }
+
+    if (signal && signal.aborted) {
+      const error = new Error(`${chain[0].provider}: Request cancelled`);
+      error.code = 'ERR_CANCELED';
+      error.attempts = attempts;
+      throw error;
     }
 
-    const selectedModel = model || providerConfig.defaultModel;
-    
+    const last = attempts[attempts.length - 1] || { provider: chain[0].provider, error: 'No provider available' };
+    const error = new Error(`${last.provider}: ${last.error}`);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  isCancellation(error, signal) {
+    return error.code === 'ERR_CANCELED' || error.name === 'CanceledError' || (!!signal && signal.aborted);
+  }
+
+  isRetryableError(error) {
+    const status = error.response?.status;
+    if (!status) {
+      // Network failure or timeout
+      return !!error.request || error.code === 'ECONNABORTED';
+    }
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  getRetryDelay(error, retry) {
+    const { baseDelayMs, maxDelayMs } = this.retryOptions;
+    const retryAfter = error.response?.headers?.['retry-after'];
+
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+
+      if (!Number.isNaN(delay)) {
+        return delay > maxDelayMs ? null : Math.max(delay, 0);
+      }
+    }
+
+    const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, retry));
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  // `cache` is { enabled, ttlSeconds, botId, sources } where sources are the
+  // retrieved Contentstack entries the prompt was built from
+  async generateResponse({ message, context = [], cache, ...options }) {
     // Build messages array
     const messages = [
       ...context,
       { role: 'user', content: message }
     ];
 
+    const useCache = cache && cache.enabled !== undefined ? !!cache.enabled : this.cacheEnabled;
+    if (!useCache || (options.tools && options.tools.length > 0)) {
+      return this.generateCompletion({ ...options, messages });
+    }
+
+    const sources = (cache && cache.sources) || [];
+    const botId = (cache && cache.botId) || options.botId;
+    const key = this.responseCache.buildKey({
+      botId,
+      provider: options.provider || 'openrouter',
+      model: options.model,
+      messages,
+      params: options.params,
+      sourceFingerprint: this.responseCache.fingerprintSources(sources)
+    });
+
+    const hit = this.responseCache.get(key);
+    if (hit) {
+      return { ...hit.value, cached: true, cachedAt: hit.cachedAt };
+    }
+
+    const response = await this.generateCompletion({ ...options, messages });
+
+    // Truncated answers aren't worth repeating
+    if (response.finishReason !== 'length') {
+      this.responseCache.set(key, response, {
+        ttlSeconds: cache && cache.ttlSeconds,
+        botId,
+        sourceUids: sources.map(source => source.uid).filter(Boolean)
+      });
+    }
+
+    return { ...response, cached: false };
+  }
+
+  recordUsage({ botId, adapter, provider, model, ...details }) {
+    const selectedModel = model || adapter?.defaultModel;
+    const metadata = adapter ? this.getModelMetadata(adapter, selectedModel) : null;
+
     try {
-      const response = await this.makeAPIRequest(provider, {
+      return UsageService.record({
+        botId,
+        provider: adapter ? adapter.id : provider,
         model: selectedModel,
-        messages,
-        max_tokens: 1000,
-        temperature: 0.7
+        pricing: metadata && metadata.pricing,
+        ...details
+      });
+    } catch (error) {
+      // Bookkeeping must never fail a chat request
+      console.error('Usage recording error:', error.message);
+      return null;
+    }
+  }
+
+  invalidateCache({ botId, entryUids } = {}) {
+    return this.responseCache.invalidate({ botId, entryUids });
+  }
+
+  getCacheStats() {
+    return {
+      enabledByDefault: this.cacheEnabled,
+      ...this.responseCache.getStats()
+    };
+  }
+
+  // Runs one request for a full message list (system, user, assistant and tool turns)
+  // `guardrails` are the bot's guardrail settings (see GuardrailService)
+  async generateCompletion({ messages, provider = 'openrouter', model, tools = [], fallbacks = [], params = {}, responseSchema, botId, guardrails, signal }) {
+    const startedAt = Date.now();
+    const guard = GuardrailService.createGuard({ botId, settings: guardrails });
+    const outgoing = guard.protectInput(messages);
+
+    try {
+      const result = await this.executeWithFailover(
+        this.buildProviderChain(provider, model, fallbacks),
+        async (adapter, selectedModel) => {
+          const response = await this.makeAPIRequest(adapter, {
+            model: selectedModel,
+            messages: outgoing,
+            tools,
+            params: this.resolveGenerationParams(adapter, selectedModel, params),
+            responseFormat: responseSchema && this.getResponseFormat(adapter, selectedModel, responseSchema)
+          }, signal);
+          return adapter.parseResponse(response.data);
+        },
+        signal
+      );
+
+      this.recordUsage({
+        botId,
+        adapter: result.adapter,
+        model: result.model,
+        usage: result.value.usage,
+        content: result.value.content,
+        latencyMs: Date.now() - startedAt
       });
 
       return {
-        content: response.data.choices[0].message.content,
-        provider,
-        model: selectedModel,
-        usage: response.data.usage
+        ...result.value,
+        content: guard.processOutput(result.value.content),
+        toolCalls: (result.value.toolCalls || []).map(call => ({ ...call, arguments: guard.restoreArguments(call.arguments) })),
+        provider: result.provider,
+        model: result.model,
+        fallbackUsed: result.provider !== provider || (!!model && result.model !== model),
+        attempts: result.attempts
       };
     } catch (error) {
-      console.error(`LLM API Error (${provider}):`, error.response?.data || error.message);
-      throw new Error(`Failed to generate response from ${provider}: ${error.response?.data?.error?.message || error.message}`);
+      this.recordUsage({
+        botId,
+        adapter: this.adapters[provider],
+        provider,
+        model,
+        latencyMs: Date.now() - startedAt,
+        status: this.isCancellation(error, signal) ? 'cancelled' : 'error',
+        error: error.message
+      });
+
+      const wrapped = new Error(`Failed to generate response from ${error.message}`);
+      wrapped.attempts = error.attempts;
+      throw wrapped;
+    }
+  }
+
+  validateSchema(schema) {
+    try {
+      this.ajv.compile(schema);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Native JSON modes only return objects, so other schemas are left to the prompt
+  getResponseFormat(adapter, model, schema) {
+    const metadata = this.getModelMetadata(adapter, model);
+    const mode = (metadata && metadata.jsonMode !== undefined ? metadata.jsonMode : adapter.jsonMode) || null;
+    return {
+      mode: schema && schema.type === 'object' ? mode : null,
+      name: 'response',
+      schema
+    };
+  }
+
+  // Pulls a JSON value out of a reply, tolerating code fences and prose around it
+  extractJSON(text) {
+    const trimmed = String(text || '').trim();
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const candidate = fenced ? fenced[1].trim() : trimmed;
+
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch (error) {
+      const start = candidate.search(/[[{]/);
+      const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+      if (start !== -1 && end > start) {
+        try {
+          return { value: JSON.parse(candidate.slice(start, end + 1)) };
+        } catch (innerError) {
+          return { error: innerError.message };
+        }
+      }
+      return { error: error.message };
     }
   }
 
-  async generateStreamingResponse({ message, provider = 'openrouter', model, context = [], botId }) {
-    const providerConfig = this.providers[provider];
-    
-    if (!providerConfig || !providerConfig.apiKey) {
-      throw new Error(`Provider ${provider} is not configured or API key is missing`);
+  // Asks for JSON matching `schema`, using the provider's native JSON mode
+  // where there is one. Invalid replies are sent back to the model with the
+  // validation errors, up to `maxRepairAttempts` times.
+  async generateStructuredResponse({ message, context = [], schema, maxRepairAttempts = 2, ...options }) {
+    const validate = this.ajv.compile(schema);
+    const messages = [
+      ...context,
+      {
+        role: 'system',
+        content: `Respond only with a JSON value that matches this JSON Schema. Do not add any text outside the JSON.\n\n${JSON.stringify(schema)}`
+      },
+      { role: 'user', content: message }
+    ];
+    let usage = null;
+    let response;
+    let errors = [];
+
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+      response = await this.generateCompletion({ ...options, messages, responseSchema: schema });
+      usage = this.addUsage(usage, response.usage);
+
+      const parsed = this.extractJSON(response.content);
+      if (parsed.error) {
+        errors = [{ message: `Invalid JSON: ${parsed.error}` }];
+      } else if (validate(parsed.value)) {
+        return {
+          ...response,
+          usage,
+          parsed: parsed.value,
+          valid: true,
+          repairAttempts: attempt
+        };
+      } else {
+        errors = validate.errors.map(error => ({
+          path: error.instancePath || '/',
+          message: error.message
+        }));
+      }
+
+      messages.push(
+        { role: 'assistant', content: response.content },
+        {
+          role: 'user',
+          content: `That reply did not match the schema:\n${errors.map(error => `- ${error.path ? `${error.path}: ` : ''}${error.message}`).join('\n')}\nReply again with corrected JSON only.`
+        }
+      );
+    }
+
+    return {
+      ...response,
+      usage,
+      parsed: null,
+      valid: false,
+      validationErrors: errors,
+      repairAttempts: maxRepairAttempts
+    };
+  }
+
+  // Lets the model call server-side tools: every tool call in a response is
+  // executed through `executeTool(call)` and its result fed back to the model,
+  // until it answers without calling a tool or `maxToolRounds` is reached.
+  async generateWithTools({ message, context = [], tools = [], executeTool, maxToolRounds = 5, ...options }) {
+    const messages = [
+      ...context,
+      { role: 'user', content: message }
+    ];
+    const executedCalls = [];
+    let usage = null;
+
+    for (let round = 0; ; round++) {
+      const response = await this.generateCompletion({ ...options, messages, tools });
+      usage = this.addUsage(usage, response.usage);
+
+      if (response.toolCalls.length === 0 || round >= maxToolRounds) {
+        return {
+          ...response,
+          usage,
+          toolCalls: executedCalls
+        };
+      }
+
+      messages.push({ role: 'assistant', content: response.content, toolCalls: response.toolCalls });
+
+      for (const call of response.toolCalls) {
+        const result = await executeTool(call);
+        executedCalls.push({ ...call, result });
+        messages.push({
+          role: 'tool',
+          toolCallId: call.id,
+          name: call.name,
+          content: typeof result === 'string' ? result : JSON.stringify(result)
+        });
+      }
     }
+  }
 
-    const selectedModel = model || providerConfig.defaultModel;
+  addUsage(total, usage) {
+    if (!usage) return total;
+    if (!total) return { ...usage };
+    return {
+      promptTokens: total.promptTokens + usage.promptTokens,
+      completionTokens: total.completionTokens + usage.completionTokens,
+      totalTokens: total.totalTokens + usage.totalTokens
+    };
+  }
+
+  // Returns an EventEmitter emitting 'data', then exactly one of 'end',
+  // 'error' or 'cancelled'. The upstream request is aborted when `signal`
+  // fires or `stream.cancel()` is called, and when no token arrives within the
+  // first-token timeout or the whole response takes longer than the stream
+  // timeout; timeouts are cancellations with reason 'first_token_timeout'
+  // or 'timeout'. Pass `messages`
+  // instead of `message`/`context` to continue a conversation that already
+  // ends in tool results.
+  async generateStreamingResponse({ message, provider = 'openrouter', model, context = [], messages: conversation, tools = [], fallbacks = [], params = {}, botId, guardrails, signal }) {
     const stream = new EventEmitter();
+    const controller = new AbortController();
 
     // Build messages array
-    const messages = [
+    const messages = conversation || [
       ...context,
       { role: 'user', content: message }
     ];
 
-    try {
-      const response = await this.makeStreamingAPIRequest(provider, {
-        model: selectedModel,
-        messages,
-        max_tokens: 1000,
-        temperature: 0.7,
-        stream: true
+    // Blocked input rejects before anything is sent upstream
+    const guard = GuardrailService.createGuard({ botId, settings: guardrails });
+    const outgoing = guard.protectInput(messages);
+    const restorer = guard.createStreamRestorer();
+    let restoredContent = '';
+
+    const startedAt = Date.now();
+    let active = null;
+    let fullContent = '';
+    let finished = false;
+    let firstTokenTimer = null;
+    let totalTimer = null;
+
+    const clearTimers = () => {
+      clearTimeout(firstTokenTimer);
+      clearTimeout(totalTimer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    let cancelReason = null;
+
+    const emitCancelled = () => {
+      stream.emit('cancelled', {
+        reason: cancelReason,
+        provider: active ? active.provider : provider,
+        model: active ? active.model : model,
+        fullContent: restoredContent
       });
+    };
 
-      let fullContent = '';
+    // Partial output is kept in the ledger as a cancelled call
+    const cancel = (reason = 'cancelled') => {
+      if (finished) return;
+      finished = true;
+      cancelReason = reason;
+      clearTimers();
+      controller.abort();
 
-      response.data.on('data', (chunk) => {
-        const lines = chunk.toString().split('\n').filter(line => line.trim() !== '');
-        
-        for (const line of lines) {
-          if (line.includes('[DONE]')) {
-            stream.emit('end', {
-              provider,
-              model: selectedModel,
-              fullContent
-            });
-            return;
-          }
-          
-          if (line.startsWith('data: ')) {
-            try {
-              const data = JSON.parse(line.slice(6));
-              if (data.choices && data.choices[0] && data.choices[0].delta && data.choices[0].delta.content) {
-                const content = data.choices[0].delta.content;
-                fullContent += content;
-                stream.emit('data', {
-                  content,
-                  provider,
-                  model: selectedModel
-                });
-              }
-            } catch (parseError) {
-              // Ignore parsing errors for malformed chunks
-            }
+      // Before the stream is established the caller isn't listening yet;
+      // the pending request rejects and reports the cancellation then
+      if (active) {
+        this.recordUsage({
+          botId,
+          adapter: active.adapter,
+          model: active.model,
+          usage: active.parser.result(fullContent).usage,
+          content: fullContent,
+          latencyMs: Date.now() - startedAt,
+          streamed: true,
+          status: 'cancelled',
+          cancelReason: reason
+        });
+        emitCancelled();
+      }
+    };
+
+    const onAbort = () => cancel('client_disconnected');
+
+    stream.cancel = cancel;
+    // Streams are destroyed by callers that treat this like a Node stream
+    stream.destroy = () => cancel('client_disconnected');
+
+    if (signal) {
+      if (signal.aborted) {
+        controller.abort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    firstTokenTimer = setTimeout(() => cancel('first_token_timeout'), this.streamTimeouts.firstTokenMs);
+    totalTimer = setTimeout(() => cancel('timeout'), this.streamTimeouts.totalMs);
+
+    try {
+      // Failover only applies until the stream is established
+      const result = await this.executeWithFailover(
+        this.buildProviderChain(provider, model, fallbacks),
+        (adapter, selectedModel) => this.makeStreamingAPIRequest(adapter, {
+          model: selectedModel,
+          messages: outgoing,
+          tools,
+          params: this.resolveGenerationParams(adapter, selectedModel, params)
+        }, controller.signal),
+        controller.signal
+      );
+
+      const { adapter, provider: answeredBy, model: selectedModel } = result;
+      const response = result.value;
+      const parser = adapter.createStreamParser();
+      active = { adapter, parser, provider: answeredBy, model: selectedModel };
+
+      if (finished) {
+        // Cancelled just as the request was established
+        response.data.destroy();
+        setTimeout(emitCancelled, 0);
+        return stream;
+      }
+
+      const emitContent = (content) => {
+        if (!content) return;
+        restoredContent += content;
+        stream.emit('data', {
+          content,
+          provider: answeredBy,
+          model: selectedModel
+        });
+      };
+
+      const handleEvents = (events) => {
+        for (const event of events) {
+          if (event.type === 'content') {
+            clearTimeout(firstTokenTimer);
+            fullContent += event.content;
+            emitContent(restorer.push(event.content));
+          } else if (event.type === 'done') {
+            finish();
           }
         }
-      });
+      };
+
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        clearTimers();
+        emitContent(restorer.flush());
+        guard.reviewOutput(restoredContent);
+        const final = parser.result(fullContent);
+        this.recordUsage({
+          botId,
+          adapter,
+          model: selectedModel,
+          usage: final.usage,
+          content: fullContent,
+          latencyMs: Date.now() - startedAt,
+          streamed: true
+        });
+        stream.emit('end', {
+          ...final,
+          content: restoredContent,
+          toolCalls: final.toolCalls.map(call => ({ ...call, arguments: guard.restoreArguments(call.arguments) })),
+          provider: answeredBy,
+          model: selectedModel,
+          fallbackUsed: answeredBy !== provider || (!!model && selectedModel !== model),
+          fullContent: restoredContent
+        });
+      };
 
-      response.data.on('error', (error) => {
+      const fail = (error) => {
+        if (finished) return;
+        finished = true;
+        clearTimers();
+        this.getCircuitBreaker(answeredBy).recordFailure(error);
         stream.emit('error', error);
+      };
+
+      response.data.on('data', (chunk) => {
+        if (finished) return;
+        try {
+          handleEvents(parser.push(chunk));
+        } catch (error) {
+          fail(error);
+        }
       });
 
+      response.data.on('error', fail);
+
       response.data.on('end', () => {
-        stream.emit('end', {
-          provider,
-          model: selectedModel,
-          fullContent
-        });
+        if (finished) return;
+        try {
+          handleEvents(parser.end());
+        } catch (error) {
+          fail(error);
+          return;
+        }
+        finish();
       });
 
     } catch (error) {
-      console.error(`Streaming LLM API Error (${provider}):`, error.response?.data || error.message);
-      setTimeout(() => {
-        stream.emit('error', new Error(`Failed to generate streaming response from ${provider}: ${error.response?.data?.error?.message || error.message}`));
-      }, 0);
+      if (cancelReason) {
+        this.recordUsage({
+          botId,
+          adapter: this.adapters[provider],
+          provider,
+          model,
+          latencyMs: Date.now() - startedAt,
+          streamed: true,
+          status: 'cancelled',
+          cancelReason
+        });
+        setTimeout(emitCancelled, 0);
+      } else if (!finished) {
+        finished = true;
+        clearTimers();
+        setTimeout(() => {
+          stream.emit('error', new Error(`Failed to generate streaming response from ${error.message}`));
+        }, 0);
+      }
     }
 
     return stream;
   }
 
-  async makeAPIRequest(provider, data) {
-    const providerConfig = this.providers[provider];
-    const headers = this.getHeaders(provider);
-
-    if (provider === 'anthropic') {
-      // Anthropic has a different API format
-      return await axios.post(`${providerConfig.baseURL}/messages`, {
-        model: data.model,
-        max_tokens: data.max_tokens,
-        messages: data.messages
-      }, { headers });
-    }
-
-    return await axios.post(`${providerConfig.baseURL}/chat/completions`, data, { headers });
+  async makeAPIRequest(adapter, data, signal) {
+    return await this.sendRequest(adapter, adapter.buildRequest(data), {
+      signal,
+      timeout: this.requestTimeoutMs
+    });
   }
 
-  async makeStreamingAPIRequest(provider, data) {
-    const providerConfig = this.providers[provider];
-    const headers = this.getHeaders(provider);
-
-    if (provider === 'anthropic') {
-      // Anthropic streaming
-      return await axios.post(`${providerConfig.baseURL}/messages`, {
-        model: data.model,
-        max_tokens: data.max_tokens,
-        messages: data.messages,
-        stream: true
-      }, { 
-        headers,
-        responseType: 'stream'
-      });
-    }
-
-    return await axios.post(`${providerConfig.baseURL}/chat/completions`, data, {
-      headers,
-      responseType: 'stream'
+  async makeStreamingAPIRequest(adapter, data, signal) {
+    return await this.sendRequest(adapter, adapter.buildRequest({ ...data, stream: true }), {
+      stream: true,
+      signal
     });
   }
 
-  getHeaders(provider) {
-    const providerConfig = this.providers[provider];
-    const baseHeaders = {
-      'Content-Type': 'application/json'
-    };
-
-    switch (provider) {
-      case 'openrouter':
-        return {
-          ...baseHeaders,
-          'Authorization': `Bearer ${providerConfig.apiKey}`,
-          'HTTP-Referer': 'http://localhost:7000',
-          'X-Title': 'Chat Agent Platform'
-        };
-      
-      case 'openai':
-      case 'groq':
-        return {
-          ...baseHeaders,
-          'Authorization': `Bearer ${providerConfig.apiKey}`
-        };
-      
-      case 'anthropic':
-        return {
-          ...baseHeaders,
-          'x-api-key': providerConfig.apiKey,
-          'anthropic-version': '2023-06-01'
-        };
-      
-      default:
-        return {
-          ...baseHeaders,
-          'Authorization': `Bearer ${providerConfig.apiKey}`
-        };
+  sendRequest(adapter, request, options) {
+    if (this.recorder && adapter.recordable) {
+      return this.recorder.send(adapter, request, options);
     }
+    return adapter.sendRequest(request, options);
+  }
+
+  // Replayed fixtures need no API keys
+  isAdapterUsable(adapter) {
+    return !!adapter && (adapter.isConfigured() || (!!this.recorder && this.recorder.mode === 'replay'));
   }
 
   getAvailableProviders() {
-    return Object.keys(this.providers).filter(provider => 
-      this.providers[provider].apiKey
+    return Object.keys(this.adapters).filter(provider =>
+      this.isAdapterUsable(this.adapters[provider])
     );
   }
 
   isProviderAvailable(provider) {
-    return this.providers[provider] && this.providers[provider].apiKey;
+    return this.isAdapterUsable(this.adapters[provider]);
   }
 }
 
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const LLMService = require('./llmService');
+const GuardrailService = require('./guardrailService');
+const { sanitizeText } = require('./promptInjection');
+
+const DEFAULT_FACTS = ['home_city', 'budget', 'dietary_needs', 'travel_companions', 'accessibility_needs', 'interests', 'preferred_accommodation', 'preferred_language'];
+const MAX_VALUE_LENGTH = 200;
+
+// Values the guardrails masked aren't worth remembering
+const MASKED_VALUE = /\[[a-z]+ redacted\]|\[[A-Z]+_\d+\]|\u2022{4}/;
+
+// Memory goes to the model in system messages, which the guardrails don't
+// mask, so contact details and other PII are never kept
+function isStorable(value) {
+  return !MASKED_VALUE.test(value) && GuardrailService.detectPII(value).length === 0;
+}
+
+function memoryError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Long-term facts about returning users, one profile per bot and end-user
+// id (supplied by the widget). Bots opt in with `memory: { enabled, facts }`
+// where facts lists the fact keys to keep (DEFAULT_FACTS otherwise). Facts
+// are extracted from user messages after each turn and added to the bot's
+// context in later conversations.
+class MemoryService {
+  constructor() {
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.memoryFile = path.join(this.dataDir, 'user_memory.json');
+    this.ensureDataDirectory();
+    this.profiles = this.loadProfiles();
+  }
+
+  ensureDataDirectory() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  loadProfiles() {
+    try {
+      if (fs.existsSync(this.memoryFile)) {
+        const data = fs.readFileSync(this.memoryFile, 'utf8');
+        return JSON.parse(data);
+      }
+    } catch (error) {
+      console.error('Error loading user memory:', error);
+    }
+    return [];
+  }
+
+  saveProfiles() {
+    try {
+      fs.writeFileSync(this.memoryFile, JSON.stringify(this.profiles, null, 2));
+    } catch (error) {
+      console.error('Error saving user memory:', error);
+    }
+  }
+
+  isEnabled(bot, userId) {
+    return !!userId && !!(bot.memory && bot.memory.enabled);
+  }
+
+  getFactKeys(bot) {
+    return (bot.memory && bot.memory.facts && bot.memory.facts.length > 0) ? bot.memory.facts : DEFAULT_FACTS;
+  }
+
+  async getProfile(botId, userId) {
+    return this.profiles.find(profile => profile.botId === botId && profile.userId === userId) || null;
+  }
+
+  // Sets (or with an empty value, removes) facts; `source` is 'extracted'
+  // for facts the bot picked up and 'manual' for edits through the API.
+  // Values containing PII are rejected with a 422 error.
+  async setFacts(botId, userId, facts, { source = 'manual', conversationId = null } = {}) {
+    const personal = facts.filter(({ value }) => value != null && GuardrailService.detectPII(String(value)).length > 0);
+    if (personal.length > 0) {
+      throw memoryError(422, `Facts can't contain personal data such as emails or phone numbers: ${personal.map(fact => fact.key).join(', ')}`);
+    }
+
+    let profile = await this.getProfile(botId, userId);
+
+    if (!profile) {
+      profile = {
+        id: uuidv4(),
+        botId,
+        userId,
+        facts: {},
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+      this.profiles.push(profile);
+    }
+
+    facts.forEach(({ key, value }) => {
+      const text = value == null ? '' : String(value).trim();
+      if (!text) {
+        delete profile.facts[key];
+        return;
+      }
+      profile.facts[key] = {
+        value: text.slice(0, MAX_VALUE_LENGTH),
+        source,
+        conversationId,
+        updatedAt: new Date().toISOString()
+      };
+    });
+
+    profile.updatedAt = new Date().toISOString();
+    this.saveProfiles();
+
+    return profile;
+  }
+
+  async deleteFact(botId, userId, key) {
+    const profile = await this.getProfile(botId, userId);
+
+    if (!profile || !profile.facts[key]) {
+      throw memoryError(404, 'Fact not found');
+    }
+
+    return this.setFacts(botId, userId, [{ key, value: null }]);
+  }
+
+  // Forgets everything about a user
+  async deleteProfile(botId, userId) {
+    const profileIndex = this.profiles.findIndex(profile => profile.botId === botId && profile.userId === userId);
+
+    if (profileIndex === -1) {
+      return false;
+    }
+
+    this.profiles.splice(profileIndex, 1);
+    this.saveProfiles();
+
+    return true;
+  }
+
+  // System message listing what the bot knows about the user, or null
+  async buildMemoryMessage(bot, userId) {
+    if (!this.isEnabled(bot, userId)) {
+      return null;
+    }
+
+    const profile = await this.getProfile(bot.id, userId);
+    const facts = profile ? Object.entries(profile.facts).filter(([, fact]) => isStorable(fact.value)) : [];
+    if (facts.length === 0) {
+      return null;
+    }
+
+    // Facts come from what users typed, so they're data like retrieved entries
+    const listing = facts
+      .map(([key, fact]) => `- ${key.replace(/_/g, ' ')}: ${sanitizeText(fact.value).text.replace(/\s+/g, ' ')}`)
+      .join('\n');
+
+    return {
+      role: 'system',
+      content: `What this returning user told you in earlier conversations (use it where relevant, don't recite it, and prefer anything they say now):\n${listing}`
+    };
+  }
+
+  // Picks up facts the user states about themselves in a message. Runs after
+  // the reply has gone out; failures are logged and otherwise ignored.
+  async learn(bot, userId, message, { conversationId, request } = {}) {
+    if (!this.isEnabled(bot, userId)) {
+      return null;
+    }
+
+    const keys = this.getFactKeys(bot);
+    const profile = await this.getProfile(bot.id, userId);
+    const known = profile ? Object.entries(profile.facts).filter(([, fact]) => isStorable(fact.value)).map(([key, fact]) => `${key}: ${fact.value}`).join('\n') : '';
+
+    try {
+      const response = await LLMService.generateStructuredResponse({
+        provider: request.provider,
+        model: request.model,
+        fallbacks: request.fallbacks,
+        botId: bot.id,
+        guardrails: request.guardrails,
+        params: { maxTokens: 300, temperature: 0 },
+        maxRepairAttempts: 1,
+        schema: {
+          type: 'object',
+          properties: {
+            facts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  key: { type: 'string' },
+                  value: { type: 'string', maxLength: MAX_VALUE_LENGTH }
+                },
+                required: ['key', 'value']
+              }
+            }
+          },
+          required: ['facts']
+        },
+        context: [{
+          role: 'system',
+          content: `You maintain a profile of lasting facts about a user. From the user's message, extract only facts they state about themselves that fit these keys: ${keys.join(', ')}. ` +
+            `Ignore one-off details of the current request. Use an empty value when the user says a known fact no longer applies. Reply with { "facts": [] } when there is nothing to remember.` +
+            (known ? `\n\nKnown facts:\n${known}` : '')
+        }],
+        message
+      });
+
+      const facts = response.valid
+        ? response.parsed.facts.filter(fact => keys.includes(fact.key) && isStorable(fact.value))
+        : [];
+
+      if (facts.length === 0) {
+        return null;
+      }
+      return this.setFacts(bot.id, userId, facts, { source: 'extracted', conversationId });
+    } catch (error) {
+      console.error('Memory extraction error:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new MemoryService();
@@ -0,0 +1,35 @@
+// Known limits for the models we ship defaults for. Models that are not listed
+// here are passed through without clamping beyond the provider's own limits.
+// Pricing is in USD per million tokens and can be overridden in config/pricing.json.
+// jsonMode names the native structured output mode a model supports, if any.
+const MODEL_METADATA = {
+  // OpenRouter
+  'meta-llama/llama-3.1-8b-instruct:free': { contextWindow: 131072, maxOutputTokens: 4096, pricing: { input: 0, output: 0 } },
+  'microsoft/wizardlm-2-8x22b': { contextWindow: 65536, maxOutputTokens: 4096, pricing: { input: 0.5, output: 0.5 } },
+  'anthropic/claude-3-haiku': { contextWindow: 200000, maxOutputTokens: 4096, pricing: { input: 0.25, output: 1.25 } },
+  'openai/gpt-3.5-turbo': { contextWindow: 16385, maxOutputTokens: 4096, pricing: { input: 0.5, output: 1.5 } },
+  'openai/gpt-4': { contextWindow: 8192, maxOutputTokens: 4096, pricing: { input: 30, output: 60 } },
+
+  // OpenAI
+  'gpt-3.5-turbo': { contextWindow: 16385, maxOutputTokens: 4096, jsonMode: 'json_object', pricing: { input: 0.5, output: 1.5 } },
+  'gpt-4': { contextWindow: 8192, maxOutputTokens: 4096, pricing: { input: 30, output: 60 } },
+  'gpt-4-turbo': { contextWindow: 128000, maxOutputTokens: 4096, jsonMode: 'json_object', pricing: { input: 10, output: 30 } },
+
+  // Anthropic
+  'claude-3-sonnet-20240229': { contextWindow: 200000, maxOutputTokens: 4096, pricing: { input: 3, output: 15 } },
+  'claude-3-haiku-20240307': { contextWindow: 200000, maxOutputTokens: 4096, pricing: { input: 0.25, output: 1.25 } },
+
+  // Groq
+  'llama3-8b-8192': { contextWindow: 8192, maxOutputTokens: 8192, jsonMode: 'json_object', pricing: { input: 0.05, output: 0.08 } },
+  'llama3-70b-8192': { contextWindow: 8192, maxOutputTokens: 8192, jsonMode: 'json_object', pricing: { input: 0.59, output: 0.79 } },
+  'mixtral-8x7b-32768': { contextWindow: 32768, maxOutputTokens: 32768, jsonMode: 'json_object', pricing: { input: 0.24, output: 0.24 } }
+};
+
+function getModelMetadata(model) {
+  return MODEL_METADATA[model] || null;
+}
+
+module.exports = {
+  MODEL_METADATA,
+  getModelMetadata
+};
@@ -0,0 +1,224 @@
+const axios = require('axios');
+const BaseAdapter = require('./baseAdapter');
+
+// Adapter for the Anthropic Messages API
+class AnthropicAdapter extends BaseAdapter {
+  defaultAuthStyle() {
+    return 'x-api-key';
+  }
+
+  defaultParamLimits() {
+    return {
+      maxTokens: { min: 1 },
+      temperature: { min: 0, max: 1 },
+      topP: { min: 0, max: 1 },
+      stop: { maxItems: 8191 }
+    };
+  }
+
+  getHeaders() {
+    return {
+      ...super.getHeaders(),
+      'anthropic-version': '2023-06-01'
+    };
+  }
+
+  buildRequest({ model, messages, params = {}, tools = [], stream = false }) {
+    const { system, conversation } = this.formatMessages(messages);
+
+    const body = {
+      model,
+      messages: conversation,
+      // max_tokens is required by the Messages API
+      max_tokens: params.maxTokens || 1024,
+      temperature: params.temperature,
+      top_p: params.topP,
+      stop_sequences: params.stop
+    };
+
+    if (system) {
+      body.system = system;
+    }
+
+    if (tools.length > 0) {
+      body.tools = tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+    }
+
+    if (stream) {
+      body.stream = true;
+    }
+
+    return {
+      url: `${this.baseURL}/messages`,
+      body
+    };
+  }
+
+  // Anthropic takes system prompts as a top-level field and requires the
+  // conversation to alternate between user and assistant turns.
+  formatMessages(messages) {
+    const systemParts = [];
+    const conversation = [];
+
+    messages.forEach(message => {
+      if (message.role === 'system') {
+        systemParts.push(message.content);
+        return;
+      }
+
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const blocks = this.formatContentBlocks(message);
+      const previous = conversation[conversation.length - 1];
+
+      if (previous && previous.role === role) {
+        previous.content.push(...blocks);
+      } else {
+        conversation.push({ role, content: blocks });
+      }
+    });
+
+    return {
+      system: systemParts.join('\n\n'),
+      conversation
+    };
+  }
+
+  formatContentBlocks(message) {
+    if (message.role === 'tool') {
+      return [{
+        type: 'tool_result',
+        tool_use_id: message.toolCallId,
+        content: message.content
+      }];
+    }
+
+    const blocks = [];
+    if (message.content) {
+      blocks.push({ type: 'text', text: message.content });
+    }
+
+    (message.toolCalls || []).forEach(call => {
+      blocks.push({
+        type: 'tool_use',
+        id: call.id,
+        name: call.name,
+        input: call.arguments || {}
+      });
+    });
+
+    return blocks;
+  }
+
+  async listModels({ timeout = 10000 } = {}) {
+    const response = await axios.get(`${this.baseURL}/models`, {
+      headers: this.getHeaders(),
+      params: { limit: 1000 },
+      timeout
+    });
+
+    return this.parseModelList(response.data);
+  }
+
+  parseModelList(data) {
+    return (data.data || []).map(item => ({
+      id: item.id,
+      name: item.display_name || item.id
+    }));
+  }
+
+  parseResponse(data) {
+    const blocks = data.content || [];
+
+    return {
+      content: blocks
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      finishReason: this.normalizeFinishReason(data.stop_reason),
+      usage: this.normalizeUsage(data.usage),
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({
+          id: block.id,
+          name: block.name,
+          arguments: block.input || {}
+        }))
+    };
+  }
+
+  parseStreamEvent({ data }, state) {
+    switch (data.type) {
+      case 'message_start':
+        return [{ type: 'usage', usage: this.normalizeUsage(data.message?.usage) }];
+
+      case 'content_block_start':
+        if (data.content_block?.type === 'tool_use') {
+          state.toolCalls[data.index] = {
+            id: data.content_block.id,
+            name: data.content_block.name,
+            arguments: ''
+          };
+        }
+        return [];
+
+      case 'content_block_delta':
+        if (data.delta?.type === 'text_delta') {
+          return [{ type: 'content', content: data.delta.text }];
+        }
+        if (data.delta?.type === 'input_json_delta' && state.toolCalls[data.index]) {
+          state.toolCalls[data.index].arguments += data.delta.partial_json;
+        }
+        return [];
+
+      case 'message_delta': {
+        const events = [];
+        if (data.usage) {
+          events.push({
+            type: 'usage',
+            usage: this.normalizeUsage({ ...data.usage, input_tokens: state.usage?.promptTokens })
+          });
+        }
+        if (data.delta?.stop_reason) {
+          events.push({ type: 'finish', finishReason: this.normalizeFinishReason(data.delta.stop_reason) });
+        }
+        return events;
+      }
+
+      case 'message_stop':
+        return [{ type: 'done' }];
+
+      case 'error':
+        throw new Error(data.error?.message || 'Anthropic stream error');
+
+      default:
+        return [];
+    }
+  }
+
+  normalizeFinishReason(reason) {
+    const reasons = {
+      end_turn: 'stop',
+      stop_sequence: 'stop',
+      max_tokens: 'length',
+      tool_use: 'tool_calls'
+    };
+    return reason ? (reasons[reason] || reason) : null;
+  }
+
+  normalizeUsage(usage) {
+    if (!usage) return null;
+    const promptTokens = usage.input_tokens || 0;
+    const completionTokens = usage.output_tokens || 0;
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens
+    };
+  }
+}
+
+module.exports = AnthropicAdapter;
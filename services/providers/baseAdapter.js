@@ -0,0 +1,271 @@
+const axios = require('axios');
+
+// Base class for provider adapters. An adapter translates the platform's
+// common request shape into a provider-specific HTTP request and turns the
+// provider's response (or SSE stream) back into the common response shape:
+//
+//   { content, finishReason, usage: { promptTokens, completionTokens, totalTokens }, toolCalls }
+//
+// Adding a provider means subclassing this and implementing the hooks below.
+class BaseAdapter {
+  constructor(config) {
+    this.id = config.id;
+    this.name = config.name || config.id;
+    this.baseURL = config.baseURL;
+    this.apiKey = config.apiKey;
+    this.defaultModel = config.defaultModel;
+    this.models = config.models || (config.defaultModel ? [config.defaultModel] : []);
+    this.custom = !!config.custom;
+    // Whether record/replay mode may capture this provider's traffic
+    this.recordable = true;
+    this.extraHeaders = config.extraHeaders || {};
+    this.authStyle = config.authStyle || this.defaultAuthStyle();
+    this.paramLimits = { ...this.defaultParamLimits(), ...config.paramLimits };
+    this.modelMetadata = config.modelMetadata || {};
+    // Native structured output: 'json_schema', 'json_object' or null (prompt only).
+    // Model metadata can override this per model.
+    this.jsonMode = config.jsonMode || null;
+    // Optional regex limiting discovered models to chat models
+    this.modelFilter = config.modelFilter ? new RegExp(config.modelFilter) : null;
+  }
+
+  // Generation parameters this provider accepts and their valid ranges.
+  // Parameters missing from the map are dropped before the request is sent.
+  defaultParamLimits() {
+    return {
+      maxTokens: { min: 1 },
+      temperature: { min: 0, max: 2 },
+      topP: { min: 0, max: 1 },
+      presencePenalty: { min: -2, max: 2 },
+      frequencyPenalty: { min: -2, max: 2 },
+      stop: { maxItems: 4 },
+      seed: {}
+    };
+  }
+
+  defaultAuthStyle() {
+    return 'bearer';
+  }
+
+  // Local model servers usually run without a key
+  isConfigured() {
+    return this.authStyle === 'none' || !!this.apiKey;
+  }
+
+  getAuthHeaders() {
+    switch (this.authStyle) {
+      case 'none':
+        return {};
+
+      case 'x-api-key':
+        return { 'x-api-key': this.apiKey };
+
+      case 'api-key':
+        return { 'api-key': this.apiKey };
+
+      case 'bearer':
+      default:
+        return { 'Authorization': `Bearer ${this.apiKey}` };
+    }
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...this.getAuthHeaders(),
+      ...this.extraHeaders
+    };
+  }
+
+  // Returns { url, body } for a chat request. `params` holds generation
+  // parameters in camelCase (maxTokens, temperature, topP, ...) and
+  // `responseFormat` is { mode, schema, name } when JSON output is requested.
+  buildRequest({ model, messages, params = {}, tools = [], responseFormat, stream = false }) {
+    throw new Error(`${this.constructor.name} must implement buildRequest`);
+  }
+
+  // Turns a non-streaming response body into the common response shape
+  parseResponse(data) {
+    throw new Error(`${this.constructor.name} must implement parseResponse`);
+  }
+
+  // Handles one decoded SSE event and returns a list of normalized stream events:
+  //   { type: 'content', content }
+  //   { type: 'finish', finishReason }
+  //   { type: 'usage', usage }
+  //   { type: 'done' }
+  // Tool call fragments are accumulated on `state` and surfaced when the stream ends.
+  parseStreamEvent(event, state) {
+    throw new Error(`${this.constructor.name} must implement parseStreamEvent`);
+  }
+
+  // Performs the HTTP call; resolves with an axios-style response whose
+  // `data` is the parsed body, or a readable stream when `stream` is set
+  async sendRequest({ url, body }, { stream = false, signal, timeout } = {}) {
+    return await axios.post(url, body, {
+      headers: this.getHeaders(),
+      signal,
+      ...(timeout && { timeout }),
+      ...(stream && { responseType: 'stream' })
+    });
+  }
+
+  // Queries the provider's model-listing endpoint and returns
+  // [{ id, name, contextWindow, maxOutputTokens, pricing, supports }] with
+  // whatever metadata the provider reports
+  async listModels({ timeout = 10000 } = {}) {
+    const response = await axios.get(`${this.baseURL}/models`, {
+      headers: this.getHeaders(),
+      timeout
+    });
+
+    return this.parseModelList(response.data)
+      .filter(model => !this.modelFilter || this.modelFilter.test(model.id));
+  }
+
+  // OpenAI-style `{ data: [...] }`; OpenRouter and Groq add context and pricing fields
+  parseModelList(data) {
+    return (data.data || data.models || []).map(item => {
+      const model = { id: item.id, name: item.name || item.id };
+      const contextWindow = item.context_length || item.context_window;
+      const maxOutputTokens = item.top_provider?.max_completion_tokens || item.max_completion_tokens;
+
+      if (contextWindow) model.contextWindow = contextWindow;
+      if (maxOutputTokens) model.maxOutputTokens = maxOutputTokens;
+
+      if (item.pricing && item.pricing.prompt !== undefined) {
+        // Per-token USD strings -> USD per million tokens
+        model.pricing = {
+          input: Math.round(parseFloat(item.pricing.prompt) * 1e6 * 1e4) / 1e4,
+          output: Math.round(parseFloat(item.pricing.completion) * 1e6 * 1e4) / 1e4
+        };
+      }
+
+      if (Array.isArray(item.supported_parameters)) {
+        model.supports = {
+          tools: item.supported_parameters.includes('tools'),
+          json: item.supported_parameters.includes('response_format')
+        };
+      }
+
+      return model;
+    });
+  }
+
+  // Extracts a readable message from a provider error body
+  getErrorMessage(error) {
+    const data = error.response?.data;
+    return data?.error?.message || data?.message || error.message;
+  }
+
+  // Creates a stateful parser that accepts raw stream chunks and returns
+  // normalized events. SSE frames can be split across chunks, so incomplete
+  // lines are buffered until the next chunk arrives.
+  createStreamParser() {
+    const state = {
+      buffer: '',
+      eventName: null,
+      dataLines: [],
+      toolCalls: {},
+      finishReason: null,
+      usage: null,
+      done: false
+    };
+
+    const flushEvent = () => {
+      if (state.dataLines.length === 0) {
+        state.eventName = null;
+        return [];
+      }
+
+      const raw = state.dataLines.join('\n');
+      const eventName = state.eventName;
+      state.dataLines = [];
+      state.eventName = null;
+
+      if (raw.trim() === '[DONE]') {
+        return [{ type: 'done' }];
+      }
+
+      let data;
+      try {
+        data = JSON.parse(raw);
+      } catch (parseError) {
+        // Ignore parsing errors for malformed chunks
+        return [];
+      }
+
+      return this.parseStreamEvent({ event: eventName, data }, state);
+    };
+
+    const track = (events) => {
+      events.forEach(event => {
+        if (event.type === 'finish') state.finishReason = event.finishReason;
+        if (event.type === 'usage') state.usage = { ...state.usage, ...event.usage };
+        if (event.type === 'done') state.done = true;
+      });
+      return events;
+    };
+
+    return {
+      push: (chunk) => {
+        state.buffer += chunk.toString();
+        const lines = state.buffer.split(/\r?\n/);
+        state.buffer = lines.pop();
+
+        const events = [];
+        for (const line of lines) {
+          if (line === '') {
+            events.push(...flushEvent());
+          } else if (line.startsWith('event:')) {
+            state.eventName = line.slice(6).trim();
+          } else if (line.startsWith('data:')) {
+            state.dataLines.push(line.slice(5).replace(/^ /, ''));
+          }
+        }
+        return track(events);
+      },
+
+      end: () => {
+        if (state.buffer.startsWith('data:')) {
+          state.dataLines.push(state.buffer.slice(5).replace(/^ /, ''));
+        }
+        state.buffer = '';
+        return track(flushEvent());
+      },
+
+      // Common response shape for everything seen so far
+      result: (content) => ({
+        content,
+        finishReason: state.finishReason,
+        usage: state.usage,
+        toolCalls: this.collectToolCalls(state.toolCalls)
+      })
+    };
+  }
+
+  collectToolCalls(partials) {
+    return Object.keys(partials)
+      .sort((a, b) => Number(a) - Number(b))
+      .map(key => {
+        const partial = partials[key];
+        return {
+          id: partial.id,
+          name: partial.name,
+          arguments: this.parseToolArguments(partial.arguments)
+        };
+      });
+  }
+
+  parseToolArguments(args) {
+    if (!args) return {};
+    if (typeof args === 'object') return args;
+    try {
+      return JSON.parse(args);
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+module.exports = BaseAdapter;
@@ -0,0 +1,27 @@
+const OpenAIAdapter = require('./openaiAdapter');
+const AnthropicAdapter = require('./anthropicAdapter');
+const MockAdapter = require('./mockAdapter');
+const Recorder = require('./recorder');
+
+// Maps a provider `type` to the adapter that speaks its API
+const adapterTypes = {
+  openai: OpenAIAdapter,
+  anthropic: AnthropicAdapter,
+  mock: MockAdapter
+};
+
+function createAdapter(config) {
+  const Adapter = adapterTypes[config.type || 'openai'];
+
+  if (!Adapter) {
+    throw new Error(`Unknown provider type "${config.type}" for provider ${config.id}`);
+  }
+
+  return new Adapter(config);
+}
+
+module.exports = {
+  createAdapter,
+  adapterTypes,
+  Recorder
+};
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const { Readable } = require('stream');
+const OpenAIAdapter = require('./openaiAdapter');
+
+// Offline provider for development and CI. It answers in the OpenAI format
+// without any network access: scripted responses from a JSON file
+// (MOCK_LLM_RESPONSES) when one matches the last user message, otherwise an
+// echo of that message. Script entries look like
+//
+//   { "match": "paris", "content": "Spring is best." }
+//   { "pattern": "^price", "toolCalls": [{ "name": "compute_trip_price", "arguments": { ... } }] }
+//   { "match": "overloaded", "status": 429, "retryAfter": 0 }
+class MockAdapter extends OpenAIAdapter {
+  constructor(config) {
+    super({ authStyle: 'none', ...config });
+    this.responsesFile = config.responsesFile || process.env.MOCK_LLM_RESPONSES;
+    this.script = config.script || this.loadScript();
+    this.recordable = false;
+  }
+
+  loadScript() {
+    try {
+      if (this.responsesFile && fs.existsSync(this.responsesFile)) {
+        return JSON.parse(fs.readFileSync(this.responsesFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading mock LLM responses:', error);
+    }
+    return [];
+  }
+
+  async listModels() {
+    return this.models.map(id => ({ id, name: id }));
+  }
+
+  findScriptEntry(messages) {
+    const last = messages[messages.length - 1] || {};
+    const lastUser = [...messages].reverse().find(message => message.role === 'user');
+    const text = lastUser ? String(lastUser.content) : '';
+
+    return this.script.find(entry => {
+      // Tool-calling entries only answer a user turn, never a tool result
+      if (entry.toolCalls && last.role !== 'user') return false;
+      if (entry.pattern) return new RegExp(entry.pattern, 'i').test(text);
+      if (entry.match) return text.toLowerCase().includes(entry.match.toLowerCase());
+      return false;
+    });
+  }
+
+  buildCompletion(body) {
+    const entry = this.findScriptEntry(body.messages);
+
+    if (entry && entry.status) {
+      const error = new Error(`Mock provider error ${entry.status}`);
+      error.response = {
+        status: entry.status,
+        headers: entry.retryAfter !== undefined ? { 'retry-after': String(entry.retryAfter) } : {},
+        data: { error: { message: entry.message || `Mock provider error ${entry.status}` } }
+      };
+      throw error;
+    }
+
+    const lastUser = [...body.messages].reverse().find(message => message.role === 'user');
+    const toolCalls = (entry && entry.toolCalls) || [];
+    const content = entry && entry.content !== undefined
+      ? entry.content
+      : (toolCalls.length > 0 ? '' : `Echo: ${lastUser ? lastUser.content : ''}`);
+    const promptText = body.messages.map(message => message.content || '').join('\n');
+    const promptTokens = Math.ceil(promptText.length / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      content,
+      toolCalls: toolCalls.map((call, index) => ({
+        id: call.id || `call_mock_${index}`,
+        type: 'function',
+        function: {
+          name: call.name,
+          arguments: JSON.stringify(call.arguments || {})
+        }
+      })),
+      finishReason: entry && entry.finishReason ? entry.finishReason : (toolCalls.length > 0 ? 'tool_calls' : 'stop'),
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  async sendRequest({ body }, { stream = false, signal } = {}) {
+    if (signal && signal.aborted) {
+      const error = new Error('canceled');
+      error.code = 'ERR_CANCELED';
+      throw error;
+    }
+
+    const completion = this.buildCompletion(body);
+    const message = { role: 'assistant', content: completion.content };
+
+    if (completion.toolCalls.length > 0) {
+      message.tool_calls = completion.toolCalls;
+    }
+
+    if (!stream) {
+      return {
+        status: 200,
+        data: {
+          id: 'mock-completion',
+          model: body.model,
+          choices: [{ index: 0, message, finish_reason: completion.finishReason }],
+          usage: completion.usage
+        }
+      };
+    }
+
+    // Fake SSE stream: one chunk per word, then finish reason, usage and [DONE]
+    const frames = (completion.content.match(/\S+\s*/g) || []).map(word =>
+      `data: ${JSON.stringify({ choices: [{ index: 0, delta: { content: word } }] })}\n\n`
+    );
+
+    completion.toolCalls.forEach((call, index) => {
+      frames.push(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { tool_calls: [{ index, ...call }] } }] })}\n\n`);
+    });
+
+    frames.push(`data: ${JSON.stringify({ choices: [{ index: 0, delta: {}, finish_reason: completion.finishReason }] })}\n\n`);
+    frames.push(`data: ${JSON.stringify({ choices: [], usage: completion.usage })}\n\n`);
+    frames.push('data: [DONE]\n\n');
+
+    return {
+      status: 200,
+      data: Readable.from(frames.map(frame => Buffer.from(frame)))
+    };
+  }
+}
+
+module.exports = MockAdapter;
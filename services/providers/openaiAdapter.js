@@ -0,0 +1,149 @@
+const BaseAdapter = require('./baseAdapter');
+
+// Adapter for the OpenAI chat completions API and the many providers that
+// mirror it (OpenRouter, Groq, ...)
+class OpenAIAdapter extends BaseAdapter {
+  buildRequest({ model, messages, params = {}, tools = [], responseFormat, stream = false }) {
+    const body = {
+      model,
+      messages: messages.map(message => this.formatMessage(message)),
+      max_tokens: params.maxTokens,
+      temperature: params.temperature,
+      top_p: params.topP,
+      presence_penalty: params.presencePenalty,
+      frequency_penalty: params.frequencyPenalty,
+      stop: params.stop,
+      seed: params.seed
+    };
+
+    if (tools.length > 0) {
+      body.tools = tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      }));
+    }
+
+    if (responseFormat && responseFormat.mode === 'json_schema') {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: responseFormat.name || 'response',
+          schema: responseFormat.schema
+        }
+      };
+    } else if (responseFormat && responseFormat.mode === 'json_object') {
+      body.response_format = { type: 'json_object' };
+    }
+
+    if (stream) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
+
+    return {
+      url: `${this.baseURL}/chat/completions`,
+      body
+    };
+  }
+
+  formatMessage(message) {
+    if (message.role === 'tool') {
+      return {
+        role: 'tool',
+        tool_call_id: message.toolCallId,
+        content: message.content
+      };
+    }
+
+    if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: JSON.stringify(call.arguments || {})
+          }
+        }))
+      };
+    }
+
+    return { role: message.role, content: message.content };
+  }
+
+  parseResponse(data) {
+    const choice = (data.choices && data.choices[0]) || {};
+    const message = choice.message || {};
+
+    return {
+      content: message.content || '',
+      finishReason: this.normalizeFinishReason(choice.finish_reason),
+      usage: this.normalizeUsage(data.usage),
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function?.name,
+        arguments: this.parseToolArguments(call.function?.arguments)
+      }))
+    };
+  }
+
+  parseStreamEvent({ data }, state) {
+    const events = [];
+
+    if (data.usage) {
+      events.push({ type: 'usage', usage: this.normalizeUsage(data.usage) });
+    }
+
+    const choice = data.choices && data.choices[0];
+    if (!choice) {
+      return events;
+    }
+
+    const delta = choice.delta || {};
+    if (delta.content) {
+      events.push({ type: 'content', content: delta.content });
+    }
+
+    (delta.tool_calls || []).forEach(fragment => {
+      const index = fragment.index || 0;
+      const partial = state.toolCalls[index] || (state.toolCalls[index] = { id: null, name: '', arguments: '' });
+      if (fragment.id) partial.id = fragment.id;
+      if (fragment.function?.name) partial.name += fragment.function.name;
+      if (fragment.function?.arguments) partial.arguments += fragment.function.arguments;
+    });
+
+    if (choice.finish_reason) {
+      events.push({ type: 'finish', finishReason: this.normalizeFinishReason(choice.finish_reason) });
+    }
+
+    return events;
+  }
+
+  normalizeFinishReason(reason) {
+    const reasons = {
+      stop: 'stop',
+      length: 'length',
+      tool_calls: 'tool_calls',
+      function_call: 'tool_calls',
+      content_filter: 'content_filter'
+    };
+    return reason ? (reasons[reason] || reason) : null;
+  }
+
+  normalizeUsage(usage) {
+    if (!usage) return null;
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+    };
+  }
+}
+
+module.exports = OpenAIAdapter;
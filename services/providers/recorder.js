@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, PassThrough } = require('stream');
+
+// Record/replay for provider traffic. In `record` mode every request goes to
+// the real provider and the exchange is saved as a fixture file; in `replay`
+// mode the fixture is played back and nothing touches the network. Fixtures
+// are keyed by provider, URL and request body, so a replayed run must send
+// exactly the requests that were recorded.
+class Recorder {
+  constructor({ mode, fixturesDir }) {
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Unknown LLM record mode "${mode}" (expected "record" or "replay")`);
+    }
+
+    this.mode = mode;
+    this.fixturesDir = fixturesDir;
+
+    if (mode === 'record' && !fs.existsSync(fixturesDir)) {
+      fs.mkdirSync(fixturesDir, { recursive: true });
+    }
+  }
+
+  fixtureKey(adapter, { url, body }) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([adapter.id, url, body]))
+      .digest('hex')
+      .slice(0, 24);
+  }
+
+  fixturePath(key) {
+    return path.join(this.fixturesDir, `${key}.json`);
+  }
+
+  async send(adapter, request, options = {}) {
+    const key = this.fixtureKey(adapter, request);
+    return this.mode === 'replay'
+      ? this.replay(key, adapter, request)
+      : this.record(key, adapter, request, options);
+  }
+
+  replay(key, adapter, request) {
+    const file = this.fixturePath(key);
+
+    if (!fs.existsSync(file)) {
+      throw new Error(`No recorded fixture ${key} for ${adapter.id} ${request.url}`);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (fixture.error) {
+      const error = new Error(fixture.error.message);
+      error.response = fixture.error.response;
+      throw error;
+    }
+
+    if (fixture.chunks) {
+      return {
+        status: fixture.status,
+        data: Readable.from(fixture.chunks.map(chunk => Buffer.from(chunk)))
+      };
+    }
+
+    return { status: fixture.status, data: fixture.data };
+  }
+
+  async record(key, adapter, request, options) {
+    const stream = !!options.stream;
+    const fixture = {
+      provider: adapter.id,
+      url: request.url,
+      request: request.body,
+      recordedAt: new Date().toISOString()
+    };
+
+    let response;
+    try {
+      response = await adapter.sendRequest(request, options);
+    } catch (error) {
+      // Provider errors are recorded too, so failover paths can be replayed
+      if (error.response && !stream) {
+        this.write(key, {
+          ...fixture,
+          error: {
+            message: error.message,
+            response: {
+              status: error.response.status,
+              headers: { 'retry-after': error.response.headers?.['retry-after'] },
+              data: error.response.data
+            }
+          }
+        });
+      }
+      throw error;
+    }
+
+    if (!stream) {
+      this.write(key, { ...fixture, status: response.status, data: response.data });
+      return response;
+    }
+
+    // Tee the stream: the caller consumes it while the chunks are collected
+    const chunks = [];
+    const tee = new PassThrough();
+    response.data.on('data', chunk => chunks.push(chunk.toString()));
+    response.data.on('end', () => this.write(key, { ...fixture, status: response.status, chunks }));
+    response.data.on('error', error => tee.destroy(error));
+    response.data.pipe(tee);
+
+    return { ...response, data: tee };
+  }
+
+  write(key, fixture) {
+    try {
+      fs.writeFileSync(this.fixturePath(key), JSON.stringify(fixture, null, 2));
+    } catch (error) {
+      console.error('Error writing LLM fixture:', error);
+    }
+  }
+}
+
+module.exports = Recorder;
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+// In-memory TTL cache for LLM responses. Entries remember which bot and which
+// Contentstack entries they were built from so they can be invalidated when
+// either changes.
+class ResponseCache {
+  constructor({ maxEntries = 1000, defaultTtlSeconds = 3600 } = {}) {
+    this.maxEntries = maxEntries;
+    this.defaultTtlSeconds = defaultTtlSeconds;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  normalizePrompt(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/[?!.\s]+$/, '')
+      .trim();
+  }
+
+  // Fingerprint of the retrieved entries: changes whenever an entry is edited
+  fingerprintSources(sources = []) {
+    const parts = sources
+      .map(source => `${source.uid}:${source._version || source.updated_at || ''}`)
+      .sort();
+    return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+  }
+
+  buildKey({ botId, provider, model, messages, params, sourceFingerprint }) {
+    const prompt = messages
+      .map(message => `${message.role}:${this.normalizePrompt(message.content)}`)
+      .join('\n');
+
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([botId || null, provider, model || null, prompt, params || {}, sourceFingerprint || null]))
+      .digest('hex');
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+
+    if (!entry || entry.expiresAt <= Date.now()) {
+      if (entry) this.entries.delete(key);
+      this.misses += 1;
+      return null;
+    }
+
+    // Refresh recency for LRU eviction
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits += 1;
+    return entry;
+  }
+
+  set(key, value, { ttlSeconds, botId, sourceUids = [] } = {}) {
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.entries.set(key, {
+      value,
+      botId,
+      sourceUids,
+      cachedAt: new Date().toISOString(),
+      expiresAt: Date.now() + (ttlSeconds || this.defaultTtlSeconds) * 1000
+    });
+  }
+
+  // Removes entries for a bot and/or entries built from any of the given entry uids
+  invalidate({ botId, entryUids = [] } = {}) {
+    let removed = 0;
+
+    for (const [key, entry] of this.entries) {
+      const matchesBot = botId && entry.botId === botId;
+      const matchesEntry = entryUids.some(uid => entry.sourceUids.includes(uid));
+
+      if (matchesBot || matchesEntry) {
+        this.entries.delete(key);
+        removed += 1;
+      }
+    }
+
+    return removed;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      size: this.entries.size,
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : 0
+    };
+  }
+}
+
+module.exports = ResponseCache;
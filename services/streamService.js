@@ -0,0 +1,89 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Buffers the events of every SSE stream so a client that loses its
+// connection can reconnect with Last-Event-ID and continue where it left
+// off. Event ids are "<streamId>:<sequence>". A stream with no client
+// attached is abandoned (and its upstream request cancelled) after a short
+// grace period; finished buffers are dropped after STREAM_BUFFER_TTL_SECONDS.
+class StreamService {
+  constructor() {
+    this.sessions = new Map();
+    this.bufferTtlMs = (parseInt(process.env.STREAM_BUFFER_TTL_SECONDS) || 300) * 1000;
+    this.heartbeatMs = parseInt(process.env.STREAM_HEARTBEAT_MS) || 15000;
+    const grace = parseInt(process.env.STREAM_RESUME_GRACE_MS);
+    this.resumeGraceMs = isNaN(grace) ? 10000 : grace;
+  }
+
+  createSession({ onAbandon } = {}) {
+    const session = {
+      id: uuidv4(),
+      events: [],
+      subscribers: new Set(),
+      done: false,
+      onAbandon,
+      graceTimer: null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.sessions.set(session.id, session);
+    return session;
+  }
+
+  getSession(id) {
+    return this.sessions.get(id) || null;
+  }
+
+  // Stream id part of a Last-Event-ID
+  parseStreamId(eventId = '') {
+    return String(eventId).split(':')[0];
+  }
+
+  publish(session, event, data) {
+    if (session.done) return;
+
+    const entry = { id: `${session.id}:${session.events.length + 1}`, event, data };
+    session.events.push(entry);
+    session.subscribers.forEach(listener => listener(entry));
+  }
+
+  // Ends the stream for every client; the buffer stays around for resumes
+  close(session) {
+    if (session.done) return;
+
+    session.done = true;
+    clearTimeout(session.graceTimer);
+    session.subscribers.forEach(listener => listener(null));
+    session.subscribers.clear();
+
+    const expireTimer = setTimeout(() => this.sessions.delete(session.id), this.bufferTtlMs);
+    expireTimer.unref();
+  }
+
+  // Replays the events after lastEventId and then follows new ones. The
+  // listener gets null once the stream is over. Returns an unsubscribe function.
+  subscribe(session, listener, lastEventId) {
+    const [streamId, sequence] = String(lastEventId || '').split(':');
+    const after = streamId === session.id ? parseInt(sequence) || 0 : 0;
+
+    session.events.slice(after).forEach(listener);
+
+    if (session.done) {
+      listener(null);
+      return () => {};
+    }
+
+    clearTimeout(session.graceTimer);
+    session.subscribers.add(listener);
+
+    return () => {
+      session.subscribers.delete(listener);
+      if (!session.done && session.subscribers.size === 0) {
+        session.graceTimer = setTimeout(() => {
+          if (session.onAbandon) session.onAbandon();
+        }, this.resumeGraceMs);
+      }
+    };
+  }
+}
+
+module.exports = new StreamService();
@@ -0,0 +1,180 @@
+const ContentstackService = require('./contentstackService');
+const { sanitizeText, sanitizeEntry } = require('./promptInjection');
+
+// Registry of server-side tools that bots may let the model call. Each tool
+// has a JSON Schema for its arguments and a handler receiving
+// (args, context) where context carries the calling bot and the locale to
+// read entries in, and collects the Contentstack entries the tools looked
+// at as `sources`.
+class ToolService {
+  constructor() {
+    this.tools = {};
+    this.registerBuiltInTools();
+  }
+
+  registerTool({ name, description, parameters, handler }) {
+    if (!name || !/^[a-zA-Z0-9_-]{1,64}$/.test(name)) {
+      throw new Error('Tool name is required and may only contain letters, numbers, "-" and "_"');
+    }
+
+    if (typeof handler !== 'function') {
+      throw new Error(`Tool ${name} needs a handler function`);
+    }
+
+    this.tools[name] = {
+      name,
+      description: description || '',
+      parameters: parameters || { type: 'object', properties: {} },
+      handler
+    };
+  }
+
+  hasTool(name) {
+    return !!this.tools[name];
+  }
+
+  listTools() {
+    return Object.values(this.tools).map(({ name, description, parameters }) => ({
+      name,
+      description,
+      parameters
+    }));
+  }
+
+  // Tool definitions in the shape the provider adapters expect, limited to
+  // the bot's allowlist
+  getDefinitions(names = []) {
+    return names
+      .filter(name => this.tools[name])
+      .map(name => {
+        const { description, parameters } = this.tools[name];
+        return { name, description, parameters };
+      });
+  }
+
+  async executeToolCall(call, context = {}) {
+    const tool = this.tools[call.name];
+    const allowed = context.allowedTools || [];
+
+    if (!tool || !allowed.includes(call.name)) {
+      return { error: `Tool ${call.name} is not available` };
+    }
+
+    try {
+      return await tool.handler(call.arguments || {}, context);
+    } catch (error) {
+      console.error(`Tool ${call.name} error:`, error.message);
+      // Errors are returned to the model so it can recover or explain
+      return { error: error.message };
+    }
+  }
+
+  summarizeEntry(entry) {
+    return {
+      uid: entry.uid,
+      title: sanitizeText(entry.title).text,
+      description: sanitizeText(entry.description || entry.content || '').text,
+      price: entry.price
+    };
+  }
+
+  registerBuiltInTools() {
+    this.registerTool({
+      name: 'search_content',
+      description: 'Search the knowledge base for entries (tours, destinations, products) relevant to a query.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'What to search for' },
+          maxResults: { type: 'integer', description: 'Maximum number of entries to return (1-10)' }
+        },
+        required: ['query']
+      },
+      handler: async ({ query, maxResults = 3 }, context) => {
+        const entries = await ContentstackService.intelligentSearch({
+          query,
+          contentType: context.bot?.contentType,
+          locale: context.locale,
+          maxResults: Math.min(Math.max(parseInt(maxResults) || 3, 1), 10)
+        });
+
+        if (context.sources) {
+          context.sources.push(...entries);
+        }
+
+        return { results: entries.map(entry => this.summarizeEntry(entry)) };
+      }
+    });
+
+    this.registerTool({
+      name: 'get_entry',
+      description: 'Fetch the full details of a single knowledge base entry by its uid.',
+      parameters: {
+        type: 'object',
+        properties: {
+          uid: { type: 'string', description: 'The entry uid' }
+        },
+        required: ['uid']
+      },
+      handler: async ({ uid }, context) => {
+        const entry = await ContentstackService.getEntry({
+          uid,
+          contentType: context.bot?.contentType,
+          locale: context.locale
+        });
+
+        if (!entry) {
+          return { error: `Entry ${uid} not found` };
+        }
+
+        if (context.sources) {
+          context.sources.push(entry);
+        }
+
+        // Entry fields are editor-written text, not instructions
+        return { entry: sanitizeEntry(entry) };
+      }
+    });
+
+    this.registerTool({
+      name: 'compute_trip_price',
+      description: 'Compute the total price of a trip for a group, including optional accommodation and discount.',
+      parameters: {
+        type: 'object',
+        properties: {
+          pricePerPerson: { type: 'number', description: 'Tour price per traveler' },
+          travelers: { type: 'integer', description: 'Number of travelers' },
+          nights: { type: 'integer', description: 'Number of nights of accommodation' },
+          pricePerNight: { type: 'number', description: 'Accommodation price per night for the group' },
+          discountPercent: { type: 'number', description: 'Discount to apply to the total, in percent' },
+          currency: { type: 'string', description: 'Currency code, e.g. EUR' }
+        },
+        required: ['pricePerPerson', 'travelers']
+      },
+      handler: async ({ pricePerPerson, travelers, nights = 0, pricePerNight = 0, discountPercent = 0, currency = 'USD' }) => {
+        const values = { pricePerPerson, travelers, nights, pricePerNight, discountPercent };
+        const invalid = Object.keys(values).filter(key => typeof values[key] !== 'number' || values[key] < 0);
+
+        if (invalid.length > 0 || discountPercent > 100) {
+          throw new Error(`Invalid arguments: ${invalid.length > 0 ? invalid.join(', ') : 'discountPercent'}`);
+        }
+
+        const tourTotal = pricePerPerson * travelers;
+        const accommodationTotal = pricePerNight * nights;
+        const subtotal = tourTotal + accommodationTotal;
+        const discount = subtotal * (discountPercent / 100);
+        const round = (amount) => Math.round(amount * 100) / 100;
+
+        return {
+          currency,
+          tourTotal: round(tourTotal),
+          accommodationTotal: round(accommodationTotal),
+          discount: round(discount),
+          total: round(subtotal - discount)
+        };
+      }
+    });
+  }
+}
+
+module.exports = new ToolService();
@@ -0,0 +1,154 @@
+const AdmZip = require('adm-zip');
+
+const FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+function escapeHTML(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Renders stored conversations as transcripts for support tickets:
+// Markdown, JSON or a standalone HTML page, one at a time or in bulk.
+class TranscriptService {
+  buildTranscript(conversation, bot) {
+    const botName = bot ? bot.name : 'Deleted bot';
+
+    return {
+      id: conversation.id,
+      title: conversation.title,
+      bot: { id: conversation.botId, name: botName },
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      handoff: conversation.handoff || null,
+      messages: conversation.messages.map(message => ({
+        role: message.role,
+        author: message.role === 'user' ? 'User' : (message.operator || botName),
+        content: message.content,
+        createdAt: message.createdAt,
+        provider: message.provider,
+        model: message.model,
+        citations: message.citations || [],
+        sources: message.sources || [],
+        feedback: message.feedback || null
+      }))
+    };
+  }
+
+  // Cited entries, or everything retrieved when the answer cites nothing
+  getMessageSources(message) {
+    if (message.citations.length > 0) {
+      return message.citations.map(citation => ({ ...citation, label: `[${citation.marker}]` }));
+    }
+    return message.sources.map(source => ({ ...source, label: '-' }));
+  }
+
+  toMarkdown(transcript) {
+    const lines = [
+      `# Conversation with ${transcript.bot.name}`,
+      '',
+      `- Conversation: ${transcript.id}`,
+      `- Started: ${transcript.createdAt}`,
+      `- Last message: ${transcript.updatedAt}`,
+      ''
+    ];
+
+    transcript.messages.forEach(message => {
+      lines.push(`### ${message.author} (${message.createdAt})`, '', message.content, '');
+
+      if (message.model) {
+        lines.push(`_Model: ${message.provider} / ${message.model}_`, '');
+      }
+
+      const sources = this.getMessageSources(message);
+      if (sources.length > 0) {
+        lines.push('Sources:');
+        sources.forEach(source => {
+          lines.push(`${source.label} ${source.title} (${source.contentType || 'entry'} \`${source.uid}\`)`);
+        });
+        lines.push('');
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  toHTML(transcript) {
+    const messages = transcript.messages.map(message => {
+      const sources = this.getMessageSources(message);
+      return `    <section class="message ${escapeHTML(message.role)}">
+      <header><strong>${escapeHTML(message.author)}</strong> <time>${escapeHTML(message.createdAt)}</time></header>
+      <div class="content">${escapeHTML(message.content).replace(/\n/g, '<br>')}</div>${message.model ? `
+      <p class="model">Model: ${escapeHTML(message.provider)} / ${escapeHTML(message.model)}</p>` : ''}${sources.length > 0 ? `
+      <ul class="sources">
+${sources.map(source => `        <li>${escapeHTML(source.label)} ${escapeHTML(source.title)} <small>${escapeHTML(source.contentType || 'entry')} · ${escapeHTML(source.uid)}</small></li>`).join('\n')}
+      </ul>` : ''}
+    </section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Conversation with ${escapeHTML(transcript.bot.name)}</title>
+  <style>
+    body { font-family: sans-serif; max-width: 760px; margin: 2rem auto; color: #222; }
+    .message { border-left: 3px solid #ccc; padding: 0.5rem 1rem; margin: 1rem 0; }
+    .message.assistant { border-color: #2563eb; }
+    time, small, .model { color: #666; font-size: 0.85em; }
+  </style>
+</head>
+<body>
+  <h1>Conversation with ${escapeHTML(transcript.bot.name)}</h1>
+  <p>Conversation ${escapeHTML(transcript.id)} · started ${escapeHTML(transcript.createdAt)} · last message ${escapeHTML(transcript.updatedAt)}</p>
+  <main>
+${messages}
+  </main>
+</body>
+</html>
+`;
+  }
+
+  // Returns { body, contentType, filename } for one conversation
+  render(conversation, bot, format = 'md') {
+    const transcript = this.buildTranscript(conversation, bot);
+    const { contentType, extension } = FORMATS[format];
+    const renderers = {
+      md: () => this.toMarkdown(transcript),
+      json: () => JSON.stringify(transcript, null, 2),
+      html: () => this.toHTML(transcript)
+    };
+
+    return {
+      body: renderers[format](),
+      contentType,
+      filename: `conversation-${conversation.id}.${extension}`
+    };
+  }
+
+  // Many conversations as one file per conversation in a zip
+  toZip(conversations, bot, format = 'md') {
+    const zip = new AdmZip();
+    conversations.forEach(conversation => {
+      const { body, filename } = this.render(conversation, bot, format);
+      zip.addFile(filename, Buffer.from(body, 'utf8'));
+    });
+    return zip.toBuffer();
+  }
+
+  // Many conversations as JSON lines, one transcript per line
+  toJSONL(conversations, bot) {
+    return conversations
+      .map(conversation => JSON.stringify(this.buildTranscript(conversation, bot)))
+      .join('\n') + (conversations.length > 0 ? '\n' : '');
+  }
+}
+
+module.exports = new TranscriptService();
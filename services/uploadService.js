@@ -6,15 +6,15 @@ const ContentstackService = require('./contentstackService');
 
 class UploadService {
   constructor() {
-    this.uploadHistoryFile = path.join(__dirname, '../data/upload_history.json');
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.uploadHistoryFile = path.join(this.dataDir, 'upload_history.json');
     this.ensureDataDirectory();
     this.uploadHistory = this.loadUploadHistory();
   }
 
   ensureDataDirectory() {
-    const dataDir = path.join(__dirname, '../data');
-    if (!fs.existsSync(dataDir)) {
-      fs.mkdirSync(dataDir, { recursive: true });
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
     }
   }
 
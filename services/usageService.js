@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Ledger of every LLM call with token counts, latency and estimated cost.
+// Prices come from config/pricing.json (LLM_PRICING_FILE) when present, else
+// from the model metadata table, keyed "provider:model" or just "model".
+// Entries are appended to data/usage_ledger.jsonl and the latest
+// USAGE_LEDGER_MAX are kept; older ones are rolled up per month and bot
+// into data/usage_rollup.json so budgets still see their cost.
+class UsageService {
+  constructor() {
+    this.dataDir = process.env.DATA_DIR || path.join(__dirname, '../data');
+    this.ledgerFile = path.join(this.dataDir, 'usage_ledger.jsonl');
+    this.rollupFile = path.join(this.dataDir, 'usage_rollup.json');
+    this.pricingFile = process.env.LLM_PRICING_FILE || path.join(__dirname, '../config/pricing.json');
+    this.maxEntries = parseInt(process.env.USAGE_LEDGER_MAX) || 100000;
+    this.ensureDataDirectory();
+    this.rollup = this.loadRollup();
+    this.ledger = this.loadLedger();
+    this.pricing = this.loadPricing();
+    // Writes run one at a time, in order
+    this.writes = Promise.resolve();
+  }
+
+  ensureDataDirectory() {
+    if (!fs.existsSync(this.dataDir)) {
+      fs.mkdirSync(this.dataDir, { recursive: true });
+    }
+  }
+
+  loadRollup() {
+    try {
+      if (fs.existsSync(this.rollupFile)) {
+        return JSON.parse(fs.readFileSync(this.rollupFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading usage rollup:', error);
+    }
+    return {};
+  }
+
+  loadLedger() {
+    let entries = [];
+    try {
+      if (fs.existsSync(this.ledgerFile)) {
+        entries = fs.readFileSync(this.ledgerFile, 'utf8')
+          .split('\n')
+          .filter(Boolean)
+          .map(line => {
+            try {
+              return JSON.parse(line);
+            } catch (error) {
+              // A line cut short by a crash
+              return null;
+            }
+          })
+          .filter(Boolean);
+      }
+    } catch (error) {
+      console.error('Error loading usage ledger:', error);
+    }
+
+    // Lines past the cap are rolled up in memory and dropped from the file
+    // at the next compaction
+    this.fileEntries = entries.length;
+    entries.slice(0, Math.max(entries.length - this.maxEntries, 0)).forEach(entry => this.rollUp(entry));
+    return entries.slice(-this.maxEntries);
+  }
+
+  enqueueWrite(write) {
+    this.writes = this.writes
+      .then(write)
+      .catch(error => console.error('Error saving usage ledger:', error));
+    return this.writes;
+  }
+
+  appendEntry(entry) {
+    this.fileEntries += 1;
+    return this.enqueueWrite(() => fs.promises.appendFile(this.ledgerFile, `${JSON.stringify(entry)}\n`));
+  }
+
+  // Rewrites the file with the kept entries once it holds twice the cap
+  compact() {
+    const entries = this.ledger.slice();
+    const rollup = JSON.stringify(this.rollup, null, 2);
+    this.fileEntries = entries.length;
+
+    return this.enqueueWrite(async () => {
+      const tempFile = `${this.ledgerFile}.tmp`;
+      await fs.promises.writeFile(tempFile, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+      await fs.promises.writeFile(this.rollupFile, rollup);
+      await fs.promises.rename(tempFile, this.ledgerFile);
+    });
+  }
+
+  rollUp(entry) {
+    const month = entry.timestamp.slice(0, 7);
+    const botKey = String(entry.botId);
+    this.rollup[month] = this.rollup[month] || {};
+    const totals = this.rollup[month][botKey] || { calls: 0, totalTokens: 0, cost: 0 };
+
+    totals.calls += 1;
+    totals.totalTokens += entry.totalTokens || 0;
+    totals.cost = Math.round((totals.cost + (entry.cost || 0)) * 1e6) / 1e6;
+    this.rollup[month][botKey] = totals;
+  }
+
+  loadPricing() {
+    try {
+      if (fs.existsSync(this.pricingFile)) {
+        return JSON.parse(fs.readFileSync(this.pricingFile, 'utf8'));
+      }
+    } catch (error) {
+      console.error('Error loading pricing table:', error);
+    }
+    return {};
+  }
+
+  getPrice(provider, model, defaultPricing) {
+    return this.pricing[`${provider}:${model}`] || this.pricing[model] || defaultPricing || null;
+  }
+
+  estimateCost({ provider, model, promptTokens, completionTokens, pricing }) {
+    const price = this.getPrice(provider, model, pricing);
+    if (!price) {
+      return null;
+    }
+    const cost = (promptTokens / 1e6) * (price.input || 0) + (completionTokens / 1e6) * (price.output || 0);
+    return Math.round(cost * 1e6) / 1e6;
+  }
+
+  record({ botId, provider, model, usage, content, latencyMs, status = 'success', error, cancelReason, streamed = false, pricing }) {
+    // Some providers don't report usage on streams; estimate from the output
+    const estimated = status !== 'error' && !usage;
+    const promptTokens = usage ? usage.promptTokens || 0 : 0;
+    const completionTokens = usage ? usage.completionTokens || 0 : Math.ceil((content || '').length / 4);
+
+    const entry = {
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      botId: botId || null,
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated,
+      latencyMs,
+      cost: this.estimateCost({ provider, model, promptTokens, completionTokens, pricing }),
+      status,
+      streamed,
+      ...(error && { error }),
+      // Cancelled streams keep what was generated before the cut
+      ...(status === 'cancelled' && { cancelReason, partialOutput: content || '' })
+    };
+
+    this.ledger.push(entry);
+    if (this.ledger.length > this.maxEntries) {
+      this.ledger.splice(0, this.ledger.length - this.maxEntries).forEach(dropped => this.rollUp(dropped));
+    }
+
+    this.appendEntry(entry);
+    if (this.fileEntries >= this.maxEntries * 2) {
+      this.compact();
+    }
+
+    return entry;
+  }
+
+  filterEntries({ botId, provider, model, from, to } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    return this.ledger.filter(entry => {
+      const time = new Date(entry.timestamp).getTime();
+      return (!botId || entry.botId === botId) &&
+        (!provider || entry.provider === provider) &&
+        (!model || entry.model === model) &&
+        (fromTime === null || time >= fromTime) &&
+        (toTime === null || time <= toTime);
+    });
+  }
+
+  // Aggregates the kept ledger entries by any combination of bot, provider,
+  // model and day
+  getReport({ groupBy = ['bot'], ...filters } = {}) {
+    const keyFields = {
+      bot: entry => entry.botId,
+      provider: entry => entry.provider,
+      model: entry => entry.model,
+      day: entry => entry.timestamp.slice(0, 10)
+    };
+    const groups = {};
+
+    this.filterEntries(filters).forEach(entry => {
+      const keys = {};
+      groupBy.forEach(field => {
+        keys[field] = keyFields[field](entry);
+      });
+      const groupKey = JSON.stringify(keys);
+
+      if (!groups[groupKey]) {
+        groups[groupKey] = {
+          ...keys,
+          calls: 0,
+          errors: 0,
+          promptTokens: 0,
+          completionTokens: 0,
+          totalTokens: 0,
+          cost: 0,
+          totalLatencyMs: 0
+        };
+      }
+
+      const group = groups[groupKey];
+      group.calls += 1;
+      if (entry.status !== 'success') group.errors += 1;
+      group.promptTokens += entry.promptTokens;
+      group.completionTokens += entry.completionTokens;
+      group.totalTokens += entry.totalTokens;
+      group.cost += entry.cost || 0;
+      group.totalLatencyMs += entry.latencyMs || 0;
+    });
+
+    return Object.values(groups).map(({ totalLatencyMs, ...group }) => ({
+      ...group,
+      cost: Math.round(group.cost * 1e6) / 1e6,
+      averageLatencyMs: group.calls > 0 ? Math.round(totalLatencyMs / group.calls) : 0
+    }));
+  }
+
+  getMonthlySpend(botId, date = new Date()) {
+    const month = date.toISOString().slice(0, 7);
+    const rolledUp = this.rollup[month] && this.rollup[month][String(botId)];
+    return this.ledger
+      .filter(entry => entry.botId === botId && entry.timestamp.startsWith(month))
+      .reduce((total, entry) => total + (entry.cost || 0), rolledUp ? rolledUp.cost : 0);
+  }
+
+  // A bot's `budget` is { monthlyLimit, action: 'block' | 'downgrade', downgradeProvider, downgradeModel }
+  checkBudget(bot) {
+    const budget = bot.budget;
+    if (!budget || !budget.monthlyLimit) {
+      return { exceeded: false };
+    }
+
+    const spent = this.getMonthlySpend(bot.id);
+    return {
+      exceeded: spent >= budget.monthlyLimit,
+      spent: Math.round(spent * 1e6) / 1e6,
+      limit: budget.monthlyLimit,
+      action: budget.action || 'block'
+    };
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,24 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Conversations are saved to a throwaway data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'conversations-test-'));
+const ConversationService = require('../services/conversationService');
+
+after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('a date-only `to` includes conversations from that whole day', async () => {
+  const conversation = await ConversationService.createConversation({ botId: 'bot_1' });
+  const today = conversation.createdAt.slice(0, 10);
+
+  const found = await ConversationService.findConversations({ botId: 'bot_1', from: today, to: today });
+  assert.deepStrictEqual(found.map(item => item.id), [conversation.id]);
+
+  const before = await ConversationService.findConversations({ botId: 'bot_1', to: `${today}T00:00:00.000Z` });
+  assert.deepStrictEqual(before, []);
+});
@@ -0,0 +1,57 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Guardrail events are logged to a throwaway data directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'guardrails-test-'));
+const GuardrailService = require('../services/guardrailService');
+
+after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function protect(content) {
+  const guard = GuardrailService.createGuard({ settings: { enabled: true } });
+  return guard.protectInput([{ role: 'user', content }])[0].content;
+}
+
+[
+  ['passport: X1234567', 'X1234567', '[PASSPORT_1]'],
+  ['My passport number is X1234567', 'X1234567', '[PASSPORT_1]'],
+  ['my passport is AB1234567', 'AB1234567', '[PASSPORT_1]'],
+  ['Passport no. 123456789, please', '123456789', '[PASSPORT_1]'],
+  ['Write to jane.doe@example.com', 'jane.doe@example.com', '[EMAIL_1]'],
+  ['Card 4111 1111 1111 1111 exp 12/27', '4111 1111 1111 1111', '[CARD_1]'],
+  ['Call me on +33 6 12 34 56 78', '+33 6 12 34 56 78', '[PHONE_1]'],
+  ['Call me on (020) 7946 0958', '(020) 7946 0958', '[PHONE_1]'],
+  ['Call me on 555-123-4567', '555-123-4567', '[PHONE_1]']
+].forEach(([content, value, placeholder]) => {
+  test(`masks "${content}"`, () => {
+    const masked = protect(content);
+    assert.ok(!masked.includes(value), masked);
+    assert.ok(masked.includes(placeholder), masked);
+  });
+});
+
+[
+  'Does my passport expire before my trip?',
+  'My order number is 12345678',
+  'We arrive on 2024-05-17 and leave on the 21st',
+  'Is the tour 3 hours long?'
+].forEach(content => {
+  test(`leaves "${content}" alone`, () => {
+    assert.strictEqual(protect(content), content);
+  });
+});
+
+test('emails are put back in the reply and cards stay masked', () => {
+  const guard = GuardrailService.createGuard({ settings: { enabled: true } });
+  guard.protectInput([{ role: 'user', content: 'Send it to jane.doe@example.com and charge 4111 1111 1111 1111' }]);
+
+  assert.strictEqual(
+    guard.processOutput('Sent to [EMAIL_1], charged [CARD_1].'),
+    'Sent to jane.doe@example.com, charged •••• 1111.'
+  );
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CitationService = require('../services/citationService');
+const { detectInjection, sanitizeText } = require('../services/promptInjection');
+
+const corpus = require('../fixtures/prompt-injection-payloads.json');
+
+// Every payload must be neutralized inside its entry block by the retrieval
+// prompt builder, and every benign description must come through unchanged
+corpus.payloads.forEach(({ id, text }) => {
+  test(`payload ${id} is neutralized in the sources message`, (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const message = CitationService.buildSourcesMessage(
+      [{ uid: 'entry_1', title: 'Paris tour', description: text }, { uid: 'entry_2', title: 'Rome tour', description: 'Colosseum visit.' }],
+      'Relevant content:'
+    );
+    const boundary = message.match(/--- BEGIN ENTRY \[1\] (\w+) ---/)[1];
+    const entry = message.split(`--- BEGIN ENTRY [1] ${boundary} ---`)[1].split(`--- END ENTRY [1] ${boundary} ---`)[0];
+
+    assert.strictEqual(message.split(boundary).length - 1, 5, 'entry delimiters were altered');
+    assert.deepStrictEqual(detectInjection(entry), []);
+    assert.notDeepStrictEqual(sanitizeText(text).flagged, []);
+    assert.match(warn.mock.calls[0].arguments[0], /entry_1/);
+  });
+});
+
+corpus.benign.forEach(text => {
+  test(`benign text is unchanged: ${text}`, () => {
+    assert.deepStrictEqual(sanitizeText(text), { text, flagged: [] });
+  });
+});